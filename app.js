@@ -1,5 +1,33 @@
 const STORAGE_KEY = "big-g-tr13-survey-jobs-v1";
 const ACTIVE_KEY = "big-g-tr13-active-job-v1";
+const USER_KEY = "big-g-tr13-device-user-v1";
+const DB_NAME = "big-g-tr13-survey";
+const PRESET_KEY = "big-g-tr13-tolerance-presets-v1";
+const TEMPLATE_KEY = "big-g-tr13-job-templates-v1";
+const INSTRUMENT_KEY = "big-g-tr13-instrument-v1";
+const SYNC_KEY = "big-g-tr13-sync-v1";
+const CREW_KEY = "big-g-tr13-crew-filter-v1";
+const DB_VERSION = 4;
+const JOB_STORE = "jobs";
+const PRESET_STORE = "presets";
+const TEMPLATE_STORE = "templates";
+const ATTACHMENT_STORE = "attachments";
+const SAVE_DELAY_MS = 700;
+const STORAGE_WARNING_RATIO = 0.9;
+const UNDO_LIMIT = 60;
+const HISTORY_LIMIT = 2000;
+const EDIT_COALESCE_MS = 5000;
+const PHOTO_MAX_PX = 1600;
+const THUMB_MAX_PX = 240;
+const TREND_MATCH_FT = 0.5;
+const TREND_OVERLAY_LIMIT = 3;
+const SYNC_DEBOUNCE_MS = 4000;
+const SYNC_INTERVAL_MS = 60000;
+const SYNC_RETRIES = 3;
+const CHART_MIN_SPAN_FT = 20;
+const CHART_ZOOM_STEP = 1.6;
+const OUTLIER_SIGMA = 4;
+const OUTLIER_MIN_STATIONS = 5;
 
 const $ = (selector, root = document) => root.querySelector(selector);
 const $$ = (selector, root = document) => [...root.querySelectorAll(selector)];
@@ -9,7 +37,207 @@ const state = {
   activeId: null,
   currentStationIndex: 0,
   deferredInstallPrompt: null,
-  refreshTimer: null
+  refreshTimer: null,
+  cardRefreshTimer: null,
+  csvImport: null,
+  surveyImport: null,
+  db: null,
+  pendingSaves: new Set(),
+  saveTimer: null,
+  saveError: "",
+  storageWarning: "",
+  undoStacks: {},
+  presets: [],
+  templates: [],
+  attachments: new Map(),
+  attachmentJobId: null,
+  sketch: null,
+  viewingAttachment: null,
+  appVersion: "",
+  waitingWorker: null,
+  reloadingForUpdate: false,
+  instrument: null,
+  instrumentStatus: "",
+  captureField: null,
+  jobSummaries: new Map(),
+  compareJobIds: new Set(),
+  showComparison: false,
+  chartRange: null,
+  chartGesture: null,
+  syncing: false,
+  syncTimer: null,
+  syncStatus: "",
+  syncError: "",
+  syncConflict: null,
+  captureShots: null
+};
+
+const CSV_FIELDS = ["stationFt", "columnLabel", "type", "railA", "railB", "beamA", "beamB", "elevA", "elevB", "span", "rollA", "rollB", "reviewed", "notes"];
+const NUMERIC_CSV_FIELDS = ["railA", "railB", "beamA", "beamB", "elevA", "elevB", "span", "rollA", "rollB"];
+const STATION_TYPES = ["Column", "Midspan", "Control"];
+const stationMarkers = { splice: "Splice", joint: "Expansion joint" };
+const MEASUREMENT_FIELDS = NUMERIC_CSV_FIELDS;
+const SET_FIELDS = [...MEASUREMENT_FIELDS, "reviewed"];
+const DEFAULT_READING_SETS = [{ id: "as-found", name: "As Found" }];
+const attachmentKinds = { photo: "Photo", sketch: "Sketch" };
+const customFieldTypes = { number: "Number", text: "Text", choice: "Choice" };
+const SYNC_JOB_SKIP = ["id", "createdAt", "updatedAt", "stations", "history", "readingSets", "activeSetId", "sync"];
+const SYNC_STATION_SKIP = ["id", "updatedAt", "attachments"];
+const SYNC_NESTED_FIELDS = ["sets", "captures", "flags", "shots"];
+const TEMPLATE_JOB_SKIP = [...SYNC_JOB_SKIP, "surveyDate", "surveyors", "reportNumber", "jobNumber", "siteNotes", "runwayId", "trendBaselineId", "archived", "archivedAt"];
+const ANGLE_FIELDS = ["rollA", "rollB"];
+const BLE_UART_SERVICE = "6e400001-b5a3-f393-e0a9-e50e24dcca9e";
+const BLE_UART_RX = "6e400002-b5a3-f393-e0a9-e50e24dcca9e";
+const BLE_UART_TX = "6e400003-b5a3-f393-e0a9-e50e24dcca9e";
+const INSTRUMENT_LINE_IDLE_MS = 200;
+const instrumentUnitInches = { in: 1, mm: 1 / 25.4, cm: 1 / 2.54, m: 39.37007874, ft: 12 };
+const gsiUnits = { 0: ["m", 0.001], 1: ["ft", 0.001], 6: ["m", 0.0001], 7: ["ft", 0.0001], 8: ["m", 0.00001] };
+const gsiWordPriority = ["330", "331", "83", "32", "31"];
+const instrumentDrivers = {
+  simulated: { label: "Simulated instrument", connect: connectSimulatedInstrument },
+  serial: { label: "Web Serial (USB / RS-232)", connect: connectSerialInstrument },
+  bluetooth: { label: "Bluetooth LE serial", connect: connectBluetoothInstrument }
+};
+
+const TOLERANCE_FIELDS = ["straightnessTolIn", "rateTolPer20Ft", "rateWindowFt", "elevationRateTolIn", "spanRateTolIn", "spanTolIn", "railToRailTolIn", "elevationTolIn", "beamRollTolDeg", "eccentricityZonesText"];
+
+const ALIGNMENT_FIELDS = ["railA", "railB", "beamA", "beamB", "elevA", "elevB"];
+
+const alignmentMethods = {
+  none: "Instrument baseline (raw readings)",
+  "least-squares": "Least-squares best-fit line",
+  endpoints: "Endpoint-to-endpoint line"
+};
+
+const rateSeries = [
+  { name: "Rate of Change A", label: "Rail A horizontal", tolField: "rateTolPer20Ft", value: (station) => toNum(station.railA, NaN) },
+  { name: "Rate of Change B", label: "Rail B horizontal", tolField: "rateTolPer20Ft", value: (station) => toNum(station.railB, NaN) },
+  { name: "Elevation Rate A", label: "Rail A elevation", tolField: "elevationRateTolIn", value: (station) => toNum(station.elevA, NaN) },
+  { name: "Elevation Rate B", label: "Rail B elevation", tolField: "elevationRateTolIn", value: (station) => toNum(station.elevB, NaN) },
+  { name: "Span Rate", label: "Span", tolField: "spanRateTolIn", value: (station, job) => toNum(station.span, NaN) - toNum(job.referenceSpanIn, NaN) }
+];
+
+const PDF_PAGE = { width: 612, height: 792, margin: 42 };
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const pdfColors = {
+  ink: [0.094, 0.153, 0.2],
+  muted: [0.396, 0.463, 0.506],
+  navy: [0.075, 0.145, 0.204],
+  orange: [0.906, 0.435, 0.18],
+  line: [0.847, 0.882, 0.902],
+  soft: [0.961, 0.973, 0.976],
+  red: [0.706, 0.137, 0.094],
+  redSoft: [0.992, 0.922, 0.918],
+  green: [0.118, 0.463, 0.349],
+  white: [1, 1, 1]
+};
+
+const checkFields = {
+  "Straightness A": ["railA"],
+  "Straightness B": ["railB"],
+  "Eccentricity A": ["railA", "beamA"],
+  "Eccentricity B": ["railB", "beamB"],
+  "Elevation A": ["elevA"],
+  "Elevation B": ["elevB"],
+  "Rail-to-Rail Elevation": ["elevA", "elevB"],
+  "Runway Span": ["span"],
+  "Beam Roll A": ["rollA"],
+  "Beam Roll B": ["rollB"],
+  "Rate of Change A": ["railA"],
+  "Rate of Change B": ["railB"],
+  "Elevation Rate A": ["elevA"],
+  "Elevation Rate B": ["elevB"],
+  "Span Rate": ["span"]
+};
+
+const trendFields = [
+  { key: "railA", label: (job) => `${job.sideALabel || "Line A"} Rail`, value: (station) => toNum(station.railA, NaN) },
+  { key: "railB", label: (job) => `${job.sideBLabel || "Line B"} Rail`, value: (station) => toNum(station.railB, NaN) },
+  { key: "elevA", label: (job) => `${job.sideALabel || "Line A"} Elevation`, value: (station) => toNum(station.elevA, NaN) },
+  { key: "elevB", label: (job) => `${job.sideBLabel || "Line B"} Elevation`, value: (station) => toNum(station.elevB, NaN) },
+  { key: "span", label: () => "Span", value: (station, job) => toNum(station.span, NaN) - toNum(job.referenceSpanIn, NaN) }
+];
+
+const readingLabels = {
+  railA: "Rail A horizontal",
+  railB: "Rail B horizontal",
+  beamA: "Beam A centerline",
+  beamB: "Beam B centerline",
+  elevA: "Elevation A",
+  elevB: "Elevation B",
+  span: "Measured span",
+  rollA: "Beam roll A",
+  rollB: "Beam roll B"
+};
+
+const plausibleReadings = { railA: 6, railB: 6, beamA: 6, beamB: 6, elevA: 6, elevB: 6, span: 2, rollA: 10, rollB: 10 };
+
+const outlierTolFields = {
+  railA: "straightnessTolIn",
+  railB: "straightnessTolIn",
+  beamA: "straightnessTolIn",
+  beamB: "straightnessTolIn",
+  elevA: "elevationTolIn",
+  elevB: "elevationTolIn",
+  span: "spanTolIn",
+  rollA: "beamRollTolDeg",
+  rollB: "beamRollTolDeg"
+};
+
+const readingFlagStatuses = { flagged: "Not confirmed", reshoot: "Awaiting re-shoot", confirmed: "Confirmed", reshot: "Re-shot" };
+
+const trendColors = ["#6f8796", "#c48a3a", "#7c5c9e"];
+
+const csvFieldAliases = {
+  stationFt: ["station", "sta", "station ft", "station (ft)", "station m", "station (m)", "chainage", "distance"],
+  columnLabel: ["column", "column line", "col", "grid"],
+  type: ["station type", "kind"],
+  railA: ["rail a", "rail a horizontal", "offset a", "line a"],
+  railB: ["rail b", "rail b horizontal", "offset b", "line b"],
+  beamA: ["beam a", "beam a centerline"],
+  beamB: ["beam b", "beam b centerline"],
+  elevA: ["elevation a", "elev a", "tor a"],
+  elevB: ["elevation b", "elev b", "tor b"],
+  span: ["measured span", "span in", "span mm"],
+  rollA: ["roll a", "beam roll a"],
+  rollB: ["roll b", "beam roll b"],
+  reviewed: ["complete", "done"],
+  notes: ["note", "comments", "remarks"]
+};
+
+const surveyFormats = {
+  coordinates: "Coordinate CSV (ID, N, E, Z)",
+  levelBook: "Level book (BS / IS / FS)"
+};
+
+const surveyUnitInches = { ft: 12, m: 39.37007874 };
+
+const unitSystems = {
+  imperial: { label: "Imperial (ft, in)", length: "ft", offset: "in", lengthDigits: 1, offsetDigits: 3, lengthPrecision: 4, offsetPrecision: 4, perInch: 1, perFoot: 1, offsetsPerLength: 12, correctionStep: 1 / 16, slopeScale: 100, slopeLabel: "in/100 ft" },
+  metric: { label: "Metric (m, mm)", length: "m", offset: "mm", lengthDigits: 2, offsetDigits: 2, lengthPrecision: 5, offsetPrecision: 4, perInch: 25.4, perFoot: 0.3048, offsetsPerLength: 1000, correctionStep: 1, slopeScale: 1, slopeLabel: "mm/m" }
+};
+
+const unitFields = {
+  offset: ["referenceSpanIn", "straightnessTolIn", "rateTolPer20Ft", "elevationRateTolIn", "spanRateTolIn", "spanTolIn", "railToRailTolIn", "elevationTolIn", "trendThresholdIn", "repeatabilityLimitIn"],
+  length: ["runwayLengthFt", "stationSpacingFt", "startStationFt", "rateWindowFt"]
+};
+
+const surveyColumnAliases = {
+  id: ["id", "point", "pt", "point id", "pt id", "name", "station"],
+  n: ["n", "north", "northing", "y"],
+  e: ["e", "east", "easting", "x"],
+  z: ["z", "elev", "elevation", "h", "height", "rl"],
+  bs: ["bs", "backsight", "back sight"],
+  is: ["is", "intermediate", "intermediate sight", "ss", "sideshot"],
+  fs: ["fs", "foresight", "fore sight"],
+  rl: ["rl", "reduced level", "level", "elevation", "elev", "bm"]
 };
 
 const defaults = {
@@ -35,17 +263,55 @@ const defaults = {
   endDirection: "EAST",
   stationSpacingFt: "25",
   startStationFt: "0",
+  columnLinesText: "",
+  stationsPerBay: "1",
+  layoutMarkersText: "",
   straightnessTolIn: "0.250",
   rateTolPer20Ft: "0.125",
+  rateWindowFt: "20",
+  elevationRateTolIn: "0.125",
+  spanRateTolIn: "0.125",
   spanTolIn: "0.250",
   railToRailTolIn: "0.375",
   elevationTolIn: "0.250",
   beamRollTolDeg: "1.100",
+  shotCombine: "mean",
+  repeatabilityLimitIn: "0.0625",
+  repeatabilityLimitDeg: "0.100",
+  shotsPerReading: "1",
+  alignmentMethod: "none",
+  shimStockText: "0.0625, 0.125, 0.25, 0.5",
   eccentricityZonesText: "0,300,0.630\n300,325,0.454\n325,465,0.765\n465,700,0.630",
   siteNotes: "",
+  tolerancePreset: null,
+  runwayId: "",
+  trendBaselineId: "",
+  trendThresholdIn: "0.125",
+  crews: [],
+  customFields: [],
+  units: "imperial",
+  readingSets: DEFAULT_READING_SETS,
+  activeSetId: DEFAULT_READING_SETS[0].id,
   stations: []
 };
 
+const dashboardFilters = {
+  active: (job) => !job.archived,
+  open: (job, summary) => !job.archived && summary.percent < 100,
+  complete: (job, summary) => !job.archived && summary.percent === 100,
+  failing: (job, summary) => !job.archived && summary.failures > 0,
+  archived: (job) => Boolean(job.archived),
+  all: () => true
+};
+
+const dashboardSorts = {
+  updated: (a, b) => String(b.job.updatedAt || "").localeCompare(String(a.job.updatedAt || "")),
+  surveyDate: (a, b) => String(b.job.surveyDate || "").localeCompare(String(a.job.surveyDate || "")),
+  customer: (a, b) => `${a.job.customer} ${a.job.facilityLocation} ${a.job.serviceBay}`.localeCompare(`${b.job.customer} ${b.job.facilityLocation} ${b.job.serviceBay}`),
+  completion: (a, b) => a.summary.percent - b.summary.percent,
+  failures: (a, b) => b.summary.failures - a.summary.failures
+};
+
 const workflowCopy = {
   setup: ["Start with the project details", "Complete the required setup fields, then continue to the runway layout."],
   layout: ["Define the runway layout", "Confirm station spacing, directions, and tolerance limits before field capture."],
@@ -99,26 +365,335 @@ function nearestFraction(value) {
   return table.reduce((best, item) => Math.abs(item[0] - abs) < Math.abs(best[0] - abs) ? item : best)[1];
 }
 
+function jobUnits(job = activeJob()) {
+  return unitSystems[job?.units] || unitSystems.imperial;
+}
+
+function fmtOffset(job, value) {
+  return fmt(value, jobUnits(job).offsetDigits);
+}
+
+function offsetText(job, value) {
+  return `${fmtOffset(job, value)} ${jobUnits(job).offset}`;
+}
+
+function lengthText(job, value, digits = jobUnits(job).lengthDigits) {
+  return `${fmt(value, digits)} ${jobUnits(job).length}`;
+}
+
+function correctionSize(job, value) {
+  if (jobUnits(job) === unitSystems.imperial) return nearestFraction(value);
+  return `${Math.round(Math.abs(toNum(value, 0)))} mm`;
+}
+
+function stockSize(job, size) {
+  return jobUnits(job) === unitSystems.imperial ? nearestFraction(size) : `${Number(size.toFixed(2))} mm`;
+}
+
+function jobTolerance(job, field) {
+  const units = jobUnits(job);
+  const factor = unitFields.offset.includes(field) ? units.perInch : unitFields.length.includes(field) ? units.perFoot : 1;
+  return Math.abs(toNum(job[field], toNum(defaults[field]) * factor));
+}
+
+function convertValue(value, factor, digits) {
+  const n = toNum(value, NaN);
+  if (!Number.isFinite(n)) return value;
+  const converted = Number((n * factor).toFixed(digits));
+  return typeof value === "number" ? converted : String(converted);
+}
+
+function convertJobUnits(job, units) {
+  const from = jobUnits(job);
+  const to = unitSystems[units] || unitSystems.imperial;
+  if (from === to) return job;
+  const offset = (value) => convertValue(value, to.perInch / from.perInch, to.offsetPrecision);
+  const length = (value) => convertValue(value, to.perFoot / from.perFoot, to.lengthPrecision);
+  unitFields.offset.filter((field) => field in job).forEach((field) => {
+    job[field] = offset(job[field]);
+  });
+  unitFields.length.filter((field) => field in job).forEach((field) => {
+    job[field] = length(job[field]);
+  });
+  if ("eccentricityZonesText" in job) {
+    job.eccentricityZonesText = String(job.eccentricityZonesText || "").split(/\r?\n/).map((line) => {
+      const parts = line.split(",").map((part) => part.trim());
+      if (parts.length === 1 && parts[0]) return offset(parts[0]);
+      return parts.length === 3 ? [length(parts[0]), length(parts[1]), offset(parts[2])].join(",") : line;
+    }).join("\n");
+  }
+  ["columnLinesText", "layoutMarkersText"].filter((field) => field in job).forEach((field) => {
+    job[field] = String(job[field] || "").split(/\r?\n/).map((line) => {
+      const [position, ...rest] = line.split(",");
+      return Number.isFinite(toNum(position, NaN)) ? [length(position.trim()), ...rest].join(",") : line;
+    }).join("\n");
+  });
+  if ("shimStockText" in job) {
+    job.shimStockText = String(job.shimStockText || "").split(/[,;\s]+/).filter(Boolean).map(offset).join(", ");
+  }
+  (job.crews || []).forEach((crew) => {
+    crew.fromFt = length(crew.fromFt);
+    crew.toFt = length(crew.toFt);
+  });
+  const offsetFields = MEASUREMENT_FIELDS.filter((field) => !ANGLE_FIELDS.includes(field));
+  (job.stations || []).forEach((station) => {
+    station.stationFt = length(station.stationFt);
+    Object.values(station.shots || {}).forEach((fields) => {
+      offsetFields.filter((field) => field in fields).forEach((field) => {
+        fields[field] = fields[field].map(offset);
+      });
+    });
+    Object.values(station.sets || {}).forEach((values) => {
+      offsetFields.filter((field) => field in values).forEach((field) => {
+        values[field] = offset(values[field]);
+      });
+    });
+  });
+  (job.history || []).forEach((change) => {
+    change.stationFt = length(change.stationFt);
+    if (offsetFields.includes(change.field)) {
+      change.from = offset(change.from);
+      change.to = offset(change.to);
+    } else if (change.field === "stationFt") {
+      change.from = length(change.from);
+      change.to = length(change.to);
+    }
+  });
+  job.units = units;
+  return job;
+}
+
+function inJobUnits(job, other) {
+  return jobUnits(other) === jobUnits(job) ? other : convertJobUnits(structuredClone(other), job.units);
+}
+
 function blankStation(stationFt = 0, index = 0) {
   return {
     id: `station-${Date.now()}-${index}-${Math.random().toString(16).slice(2)}`,
     stationFt: Number(stationFt.toFixed(3)),
     columnLabel: "",
     type: index % 2 === 0 ? "Column" : "Midspan",
-    railA: "",
-    railB: "",
-    beamA: "",
-    beamB: "",
-    elevA: "",
-    elevB: "",
-    span: "",
-    rollA: "",
-    rollB: "",
     notes: "",
-    reviewed: false
+    sets: {},
+    updatedAt: new Date().toISOString()
+  };
+}
+
+function normalizeJob(job) {
+  Object.entries(defaults).forEach(([key, value]) => {
+    if (job[key] === undefined) job[key] = structuredClone(value);
+  });
+  if (!job.readingSets?.length) job.readingSets = structuredClone(DEFAULT_READING_SETS);
+  if (!job.readingSets.some((set) => set.id === job.activeSetId)) job.activeSetId = job.readingSets[0].id;
+  const legacySetId = job.readingSets[0].id;
+  (job.stations || []).forEach((station) => {
+    station.sets = station.sets || {};
+    SET_FIELDS.forEach((field) => {
+      if (!(field in station)) return;
+      station.sets[legacySetId] = station.sets[legacySetId] || {};
+      station.sets[legacySetId][field] ??= station[field];
+      delete station[field];
+    });
+  });
+  return job;
+}
+
+function readingSet(job, setId = job.activeSetId) {
+  return job.readingSets.find((set) => set.id === setId) || job.readingSets[0];
+}
+
+function stationReadings(job, station, setId = job.activeSetId) {
+  return station.sets?.[setId] || {};
+}
+
+function isCustomField(field) {
+  return String(field).startsWith("custom-");
+}
+
+function isSetField(field) {
+  return SET_FIELDS.includes(field) || isCustomField(field);
+}
+
+function customField(job, id) {
+  return (job.customFields || []).find((custom) => custom.id === id);
+}
+
+function customFieldLabel(custom) {
+  return `${custom.name || "Custom field"}${custom.unit ? ` (${custom.unit})` : ""}`;
+}
+
+function customChoices(custom) {
+  return String(custom.options || "").split(",").map((choice) => choice.trim()).filter(Boolean);
+}
+
+function stationValue(job, station, field, setId = job.activeSetId) {
+  if (!isSetField(field)) return station[field];
+  const value = stationReadings(job, station, setId)[field];
+  return value ?? (field === "reviewed" ? false : "");
+}
+
+function touchStation(station) {
+  station.updatedAt = new Date().toISOString();
+}
+
+function setStationValue(job, station, field, value, setId = job.activeSetId) {
+  touchStation(station);
+  if (!isSetField(field)) {
+    station[field] = value;
+    return;
+  }
+  station.sets = station.sets || {};
+  station.sets[setId] = station.sets[setId] || {};
+  station.sets[setId][field] = value;
+}
+
+function readingShots(job, station, field, setId = job.activeSetId) {
+  return station.shots?.[setId]?.[field] || [];
+}
+
+function parseShots(text) {
+  const parts = String(text ?? "").split(";").map((part) => part.trim()).filter(Boolean);
+  return parts.length > 1 && parts.every((part) => Number.isFinite(toNum(part, NaN))) ? parts : null;
+}
+
+function combineShots(job, shots) {
+  const values = shots.map((shot) => toNum(shot)).sort((a, b) => a - b);
+  const middle = Math.floor(values.length / 2);
+  const value = job.shotCombine === "median"
+    ? values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2
+    : values.reduce((sum, item) => sum + item, 0) / values.length;
+  return String(Number(value.toFixed(4)));
+}
+
+function readingEntry(job, station, field, setId = job.activeSetId) {
+  const shots = readingShots(job, station, field, setId);
+  return shots.length ? shots.join("; ") : stationValue(job, station, field, setId);
+}
+
+function setReadingEntry(job, station, field, value) {
+  const text = MEASUREMENT_FIELDS.includes(field) ? String(value ?? "").replace(/[\s;]+$/, "") : value;
+  const shots = MEASUREMENT_FIELDS.includes(field) ? parseShots(text) : null;
+  const current = station.shots?.[job.activeSetId];
+  if (shots) {
+    station.shots = { ...station.shots, [job.activeSetId]: { ...current, [field]: shots } };
+  } else if (current?.[field]) {
+    delete current[field];
+  }
+  setStationValue(job, station, field, shots ? combineShots(job, shots) : text);
+}
+
+function startNextShot(input) {
+  const entry = input.value.replace(/[\s;]+$/, "");
+  input.value = entry ? `${entry}; ` : "";
+  input.focus();
+  input.setSelectionRange(input.value.length, input.value.length);
+}
+
+function recombineShots(job) {
+  job.stations.forEach((station) => Object.entries(station.shots || {}).forEach(([setId, fields]) => {
+    Object.entries(fields).forEach(([field, shots]) => setStationValue(job, station, field, combineShots(job, shots), setId));
+  }));
+}
+
+function shotSpread(job, station, field, setId = job.activeSetId) {
+  const shots = readingShots(job, station, field, setId).map((shot) => toNum(shot));
+  if (shots.length < 2) return null;
+  const spread = Math.max(...shots) - Math.min(...shots);
+  const limit = jobTolerance(job, ANGLE_FIELDS.includes(field) ? "repeatabilityLimitDeg" : "repeatabilityLimitIn");
+  return { count: shots.length, spread, limit, over: spread > limit };
+}
+
+function repeatabilityWarnings(job) {
+  return job.stations.flatMap((station) => MEASUREMENT_FIELDS
+    .map((field) => ({ station, field, spread: shotSpread(job, station, field) }))
+    .filter((item) => item.spread?.over));
+}
+
+function stationView(job, station, setId = job.activeSetId) {
+  const view = { ...station };
+  [...SET_FIELDS, ...(job.customFields || []).map((custom) => custom.id)].forEach((field) => {
+    view[field] = stationValue(job, station, field, setId);
+  });
+  return view;
+}
+
+function stationViews(job, setId = job.activeSetId) {
+  return job.stations.map((station) => stationView(job, station, setId));
+}
+
+function fitLine(points, method) {
+  if (points.length < 2) return null;
+  const xs = points.map((point) => point.x);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  if (maxX - minX < 0.001) return null;
+  if (method === "endpoints") {
+    const mean = (x) => {
+      const values = points.filter((point) => Math.abs(point.x - x) < 0.001).map((point) => point.v);
+      return values.reduce((sum, value) => sum + value, 0) / values.length;
+    };
+    const slope = (mean(maxX) - mean(minX)) / (maxX - minX);
+    return { slope, intercept: mean(minX) - slope * minX };
+  }
+  const n = points.length;
+  const sumX = points.reduce((sum, point) => sum + point.x, 0);
+  const sumV = points.reduce((sum, point) => sum + point.v, 0);
+  const sumXX = points.reduce((sum, point) => sum + point.x * point.x, 0);
+  const sumXV = points.reduce((sum, point) => sum + point.x * point.v, 0);
+  const slope = (n * sumXV - sumX * sumV) / (n * sumXX - sumX * sumX);
+  return { slope, intercept: (sumV - slope * sumX) / n };
+}
+
+function alignmentFits(job, views) {
+  const method = job.alignmentMethod || "none";
+  if (method === "none") return null;
+  const series = (fields) => views
+    .flatMap((station) => fields.map((field) => ({ x: toNum(station.stationFt), v: toNum(station[field], NaN) })))
+    .filter((point) => Number.isFinite(point.v));
+  return {
+    method,
+    railA: fitLine(series(["railA"]), method),
+    railB: fitLine(series(["railB"]), method),
+    elevation: fitLine(series(["elevA", "elevB"]), method)
   };
 }
 
+function alignedViews(job, views) {
+  const fits = alignmentFits(job, views);
+  if (!fits) return views;
+  const lineFor = { railA: fits.railA, beamA: fits.railA, railB: fits.railB, beamB: fits.railB, elevA: fits.elevation, elevB: fits.elevation };
+  return views.map((station) => {
+    const x = toNum(station.stationFt);
+    const adjusted = { ...station, raw: {} };
+    ALIGNMENT_FIELDS.forEach((field) => {
+      const value = toNum(station[field], NaN);
+      const line = lineFor[field];
+      adjusted.raw[field] = station[field];
+      if (line && Number.isFinite(value)) adjusted[field] = String(Number((value - (line.intercept + line.slope * x)).toFixed(4)));
+    });
+    return adjusted;
+  });
+}
+
+function evaluationViews(job, setId = job.activeSetId) {
+  return alignedViews(job, stationViews(job, setId));
+}
+
+function describeAlignment(job) {
+  const fits = alignmentFits(job, stationViews(job));
+  if (!fits) return alignmentMethods.none;
+  const units = jobUnits(job);
+  const slope = (label, line) => (line ? `${label} ${fmt(line.slope * units.slopeScale)} ${units.slopeLabel}` : `${label} not enough data`);
+  return `${alignmentMethods[fits.method]} (removed slope: ${[slope("Rail A", fits.railA), slope("Rail B", fits.railB), slope("Elevation", fits.elevation)].join(", ")})`;
+}
+
+function addReadingSet(job, name) {
+  const id = `set-${Date.now()}-${Math.random().toString(16).slice(2, 6)}`;
+  job.readingSets.push({ id, name, createdAt: new Date().toISOString() });
+  job.activeSetId = id;
+  return id;
+}
+
 function createJob(seed = {}) {
   const cleanSeed = { ...seed };
   delete cleanSeed.id;
@@ -129,8 +704,9 @@ function createJob(seed = {}) {
     ...structuredClone(defaults),
     ...cleanSeed
   };
+  normalizeJob(job);
   if (!job.stations?.length) {
-    job.stations = buildStationList(job);
+    job.stations = buildLayoutStations(job);
   }
   return job;
 }
@@ -157,32 +733,352 @@ function suggestedColumnLabel(index) {
   return index % 2 === 0 ? String(index / 2 + 1) : "";
 }
 
+function parseColumnLines(text) {
+  const seen = new Set();
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => {
+      const [position, ...label] = line.split(",").map((part) => part.trim());
+      return { stationFt: toNum(position, NaN), label: label.join(", ") };
+    })
+    .filter((line) => Number.isFinite(line.stationFt) && !seen.has(line.stationFt) && seen.add(line.stationFt))
+    .sort((a, b) => a.stationFt - b.stationFt);
+}
+
+function parseLayoutMarkers(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => {
+      const [position, kind = ""] = line.split(",").map((part) => part.trim());
+      return { stationFt: toNum(position, NaN), marker: /joint|^ej$/i.test(kind) ? "joint" : "splice" };
+    })
+    .filter((item) => Number.isFinite(item.stationFt));
+}
+
+function buildLayoutStations(job) {
+  const lines = parseColumnLines(job.columnLinesText);
+  const perBay = Math.max(0, Math.round(toNum(job.stationsPerBay, 1)));
+  const layout = lines.length
+    ? lines.flatMap((line, index) => {
+      const next = lines[index + 1];
+      const column = { stationFt: line.stationFt, columnLabel: line.label || String(index + 1), type: "Column" };
+      if (!next) return [column];
+      const bay = next.stationFt - line.stationFt;
+      return [column, ...Array.from({ length: perBay }, (_, step) => ({ stationFt: line.stationFt + (bay * (step + 1)) / (perBay + 1), columnLabel: "", type: "Midspan" }))];
+    })
+    : buildStationList(job).map(({ stationFt, columnLabel, type }) => ({ stationFt, columnLabel, type }));
+  parseLayoutMarkers(job.layoutMarkersText).forEach(({ stationFt, marker }) => {
+    const match = layout.find((item) => Math.abs(item.stationFt - stationFt) < 0.001);
+    if (match) match.marker = marker;
+    else layout.push({ stationFt, columnLabel: "", type: "Control", marker });
+  });
+  return layout
+    .sort((a, b) => a.stationFt - b.stationFt)
+    .map((item, index) => ({ ...blankStation(item.stationFt, index), columnLabel: item.columnLabel, type: item.type, marker: item.marker || "" }));
+}
+
+function stationHasData(station) {
+  return Boolean(String(station.notes || "").trim() || station.attachments?.length
+    || Object.values(station.sets || {}).some((values) => Object.values(values || {}).some((value) => value !== "" && value !== false && value != null)));
+}
+
+function rebuildStations(job, built = buildLayoutStations(job)) {
+  const unmatched = [...job.stations];
+  const stations = built.map((station) => {
+    const index = unmatched.findIndex((existing) => Math.abs(toNum(existing.stationFt) - station.stationFt) < 0.001);
+    if (index < 0) return station;
+    const [existing] = unmatched.splice(index, 1);
+    const layout = { columnLabel: station.columnLabel, type: station.type, marker: station.marker };
+    const changed = Object.entries(layout).some(([field, value]) => (existing[field] || "") !== value);
+    return changed ? { ...existing, ...layout, updatedAt: new Date().toISOString() } : existing;
+  });
+  const kept = unmatched.filter(stationHasData);
+  return {
+    stations: [...stations, ...kept].sort((a, b) => toNum(a.stationFt) - toNum(b.stationFt)),
+    matched: built.length - stations.filter((station) => built.includes(station)).length,
+    kept: kept.length,
+    dropped: unmatched.length - kept.length
+  };
+}
+
+async function importColumnLines(file) {
+  const numeric = (cell) => Number.isFinite(toNum(cell, NaN));
+  const rows = parseSurveyText(await file.text()).filter((cells) => cells.some(numeric));
+  if (!rows.length) throw new Error("No column lines found.");
+  return rows.map((cells) => {
+    const position = numeric(cells[0]) ? cells[0] : cells.find(numeric);
+    const label = cells.find((cell) => cell !== position) || "";
+    return label ? `${position}, ${label}` : position;
+  }).join("\n");
+}
+
 function activeJob() {
   return state.jobs.find((job) => job.id === state.activeId) || state.jobs[0];
 }
 
-function saveJobs() {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state.jobs));
-  localStorage.setItem(ACTIVE_KEY, state.activeId || "");
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbTransaction(storeNames, mode, work) {
+  return new Promise((resolve, reject) => {
+    const transaction = state.db.transaction(storeNames, mode);
+    let result;
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("Storage transaction aborted."));
+    result = work(transaction);
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!("indexedDB" in window)) {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(JOB_STORE)) db.createObjectStore(JOB_STORE, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(PRESET_STORE)) db.createObjectStore(PRESET_STORE, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(TEMPLATE_STORE)) db.createObjectStore(TEMPLATE_STORE, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(ATTACHMENT_STORE)) db.createObjectStore(ATTACHMENT_STORE, { keyPath: "id" }).createIndex("jobId", "jobId");
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => {
+        db.close();
+        state.saveError = "A newer version of this app was opened in another tab. Reload this page before making more changes.";
+        renderSaveState("error");
+      };
+      state.storageWarning = "";
+      renderSaveState();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => {
+      state.storageWarning = "Waiting for other tabs running an older version of this app to close. Close them to finish opening your saved jobs.";
+      renderSaveState();
+    };
+  });
 }
 
-function loadJobs() {
+function readLegacyJobs() {
   try {
-    state.jobs = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
   } catch {
-    state.jobs = [];
+    return [];
+  }
+}
+
+async function migrateLegacyJobs() {
+  const legacy = readLegacyJobs();
+  if (!legacy.length) return [];
+  await idbTransaction(JOB_STORE, "readwrite", (transaction) => {
+    legacy.forEach((job) => transaction.objectStore(JOB_STORE).put(job));
+  });
+  localStorage.removeItem(STORAGE_KEY);
+  return legacy;
+}
+
+async function loadJobs() {
+  try {
+    state.db = await openDatabase();
+    state.jobs = await idbTransaction(JOB_STORE, "readonly", (transaction) => idbRequest(transaction.objectStore(JOB_STORE).getAll()));
+    if (!state.jobs.length) state.jobs = await migrateLegacyJobs();
+    state.jobs.sort((a, b) => String(b.updatedAt || "").localeCompare(String(a.updatedAt || "")));
+  } catch (error) {
+    state.db = null;
+    state.jobs = readLegacyJobs();
+    state.storageWarning = `Device database unavailable (${error.message || error}). Jobs are kept in limited browser storage; export job backups often.`;
   }
+  state.jobs.forEach(normalizeJob);
   if (!state.jobs.length) {
-    state.jobs = [createJob({ customer: "Sample Customer", facilityLocation: "Jewett, TX", serviceBay: "Bay 5 Shipping" })];
+    const sample = createJob({ customer: "Sample Customer", facilityLocation: "Jewett, TX", serviceBay: "Bay 5 Shipping" });
+    state.jobs = [sample];
+    queueSave(sample);
   }
   state.activeId = localStorage.getItem(ACTIVE_KEY) || state.jobs[0].id;
   if (!activeJob()) state.activeId = state.jobs[0].id;
 }
 
+async function readRecords(storeName, legacyKey) {
+  if (!state.db) {
+    try {
+      return JSON.parse(localStorage.getItem(legacyKey) || "[]");
+    } catch {
+      return [];
+    }
+  }
+  return idbTransaction(storeName, "readonly", (transaction) => idbRequest(transaction.objectStore(storeName).getAll()));
+}
+
+async function writeRecords(storeName, legacyKey, records, removedId) {
+  try {
+    if (state.db) {
+      await idbTransaction(storeName, "readwrite", (transaction) => {
+        const store = transaction.objectStore(storeName);
+        if (removedId) store.delete(removedId);
+        records.forEach((record) => store.put(record));
+      });
+    } else {
+      localStorage.setItem(legacyKey, JSON.stringify(records));
+    }
+  } catch (error) {
+    state.saveError = `Library changes could not be saved on this device (${error?.message || error}).`;
+    renderSaveState("error");
+  }
+}
+
+function saveActiveId() {
+  localStorage.setItem(ACTIVE_KEY, state.activeId || "");
+}
+
+function queueSave(job) {
+  if (!job) return;
+  state.pendingSaves.add(job.id);
+  clearTimeout(state.saveTimer);
+  state.saveTimer = setTimeout(flushSaves, SAVE_DELAY_MS);
+  renderSaveState("saving");
+}
+
+async function flushSaves() {
+  clearTimeout(state.saveTimer);
+  const ids = [...state.pendingSaves];
+  if (!ids.length) return;
+  state.pendingSaves.clear();
+  const jobs = ids.map((id) => state.jobs.find((job) => job.id === id)).filter(Boolean);
+  try {
+    if (state.db) {
+      await idbTransaction(JOB_STORE, "readwrite", (transaction) => {
+        jobs.forEach((job) => transaction.objectStore(JOB_STORE).put(job));
+      });
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state.jobs));
+    }
+    state.saveError = "";
+    renderSaveState("saved");
+    checkStorageQuota();
+  } catch (error) {
+    ids.forEach((id) => state.pendingSaves.add(id));
+    state.saveError = error?.name === "QuotaExceededError"
+      ? "Device storage is full. Recent changes are NOT saved. Export job backups and delete old jobs to free space."
+      : `Recent changes could not be saved on this device (${error?.message || error}). Export a job backup before closing the app.`;
+    renderSaveState("error");
+  }
+}
+
+async function deleteStoredJob(id) {
+  state.pendingSaves.delete(id);
+  try {
+    if (state.db) {
+      await idbTransaction([JOB_STORE, ATTACHMENT_STORE], "readwrite", (transaction) => {
+        transaction.objectStore(JOB_STORE).delete(id);
+        const attachments = transaction.objectStore(ATTACHMENT_STORE);
+        attachments.index("jobId").getAllKeys(id).onsuccess = (event) => {
+          event.target.result.forEach((key) => attachments.delete(key));
+        };
+      });
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state.jobs));
+    }
+  } catch (error) {
+    state.saveError = `The deleted job could not be removed from device storage (${error?.message || error}).`;
+    renderSaveState("error");
+  }
+}
+
+async function checkStorageQuota() {
+  if (!navigator.storage?.estimate) return;
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const ratio = quota ? usage / quota : 0;
+    state.storageWarning = ratio >= STORAGE_WARNING_RATIO
+      ? `Device storage is ${Math.round(ratio * 100)}% full. Export and remove finished jobs before capturing more data.`
+      : state.db ? "" : state.storageWarning;
+    renderSaveState();
+  } catch {
+    console.warn("Storage estimate unavailable.");
+  }
+}
+
+async function jobAttachmentRecords(job) {
+  if (!state.db || !job) return [];
+  return idbTransaction(ATTACHMENT_STORE, "readonly", (transaction) => idbRequest(transaction.objectStore(ATTACHMENT_STORE).index("jobId").getAll(job.id)));
+}
+
+async function loadAttachments(job = activeJob()) {
+  if (!job || state.attachmentJobId === job.id) return;
+  state.attachmentJobId = job.id;
+  state.attachments = new Map();
+  if (!state.db) return;
+  try {
+    const records = await idbTransaction(ATTACHMENT_STORE, "readonly", (transaction) => idbRequest(transaction.objectStore(ATTACHMENT_STORE).index("jobId").getAll(job.id)));
+    if (state.attachmentJobId !== job.id) return;
+    state.attachments = new Map(records.map((record) => [record.id, record]));
+  } catch (error) {
+    console.warn("Attachments could not be loaded.", error);
+  }
+  renderStationCards();
+  renderReport();
+}
+
+async function putAttachmentRecords(records) {
+  await idbTransaction(ATTACHMENT_STORE, "readwrite", (transaction) => {
+    records.forEach((record) => transaction.objectStore(ATTACHMENT_STORE).put(record));
+  });
+}
+
+async function deleteAttachmentRecords(ids) {
+  try {
+    await idbTransaction(ATTACHMENT_STORE, "readwrite", (transaction) => {
+      ids.forEach((id) => transaction.objectStore(ATTACHMENT_STORE).delete(id));
+    });
+  } catch (error) {
+    console.warn("Attachments could not be removed from device storage.", error);
+  }
+}
+
+async function copyAttachments(job, records) {
+  const ids = new Map();
+  const copies = state.db
+    ? records
+      .filter((record) => record?.id && String(record.dataUrl || "").startsWith("data:image/jpeg"))
+      .map((record) => {
+        const id = uid();
+        ids.set(record.id, id);
+        return { ...record, id, jobId: job.id, thumbUrl: record.thumbUrl || record.dataUrl };
+      })
+    : [];
+  if (copies.length) await putAttachmentRecords(copies);
+  job.stations.forEach((station) => {
+    station.attachments = (station.attachments || [])
+      .filter((meta) => ids.has(meta.id))
+      .map((meta) => ({ ...meta, id: ids.get(meta.id) }));
+  });
+  return records.length - copies.length;
+}
+
+function renderSaveState(status) {
+  const indicator = $("#saveState");
+  if (!indicator) return;
+  if (status) indicator.dataset.state = state.saveError ? "error" : status;
+  const labels = { saving: "Saving...", saved: "Saved on this device", error: "Not saved" };
+  $("#saveStateLabel").textContent = labels[indicator.dataset.state] || labels.saved;
+  const message = state.saveError || state.storageWarning;
+  $("#storageWarning").hidden = !message;
+  $("#storageWarning").textContent = message;
+}
+
 function touchJob(job = activeJob()) {
   if (!job) return;
   job.updatedAt = new Date().toISOString();
-  saveJobs();
+  queueSave(job);
+  scheduleSync();
 }
 
 function bindInputs() {
@@ -192,10 +1088,15 @@ function bindInputs() {
       if (!job) return;
       if (input.value.trim()) input.removeAttribute("aria-invalid");
       job[input.dataset.bind] = input.value;
+      if (input.dataset.bind === "shotCombine") recombineShots(job);
+      if (TOLERANCE_FIELDS.includes(input.dataset.bind) && job.tolerancePreset) {
+        job.tolerancePreset.modified = true;
+        renderPresetStatus();
+      }
       touchJob(job);
       renderJobSelect();
       renderCompletion();
-      renderReview();
+      scheduleCardRefresh();
     });
   });
 }
@@ -207,13 +1108,24 @@ function hydrateInputs() {
   });
 }
 
+function renderUnits() {
+  const job = activeJob();
+  const units = jobUnits(job);
+  $("#unitSystemSelect").value = job.units || "imperial";
+  [document, $("#stationCardTemplate").content].forEach((root) => {
+    $$("[data-unit]", root).forEach((label) => {
+      label.textContent = units[label.dataset.unit];
+    });
+  });
+}
+
 function renderJobSelect() {
   const select = $("#jobSelect");
   select.innerHTML = "";
-  state.jobs.forEach((job) => {
+  state.jobs.filter((job) => !job.archived || job.id === state.activeId).forEach((job) => {
     const option = document.createElement("option");
     option.value = job.id;
-    option.textContent = jobTitle(job);
+    option.textContent = `${jobTitle(job)}${job.archived ? " (archived)" : ""}`;
     select.appendChild(option);
   });
   select.value = activeJob()?.id || "";
@@ -224,85 +1136,484 @@ function jobTitle(job) {
   return parts.join(" - ") || "Untitled Survey";
 }
 
-function parseZones(text) {
-  const zones = String(text || "")
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter(Boolean)
-    .map((line) => {
-      const [start, end, tol] = line.split(",").map((part) => toNum(part.trim(), NaN));
-      return { start, end, tol };
-    })
-    .filter((zone) => [zone.start, zone.end, zone.tol].every(Number.isFinite));
-  return zones.length ? zones : [{ start: -Infinity, end: Infinity, tol: toNum(activeJob()?.straightnessTolIn, 0.25) }];
+function openJob(id) {
+  state.activeId = id;
+  state.currentStationIndex = 0;
+  state.csvImport = null;
+  state.surveyImport = null;
+  state.chartRange = null;
+  renderCsvImport();
+  renderSurveyImport();
+  saveActiveId();
+  renderAll();
 }
 
-function eccentricityTolAt(job, stationFt) {
-  const zones = parseZones(job.eccentricityZonesText);
-  const zone = zones.find((item) => stationFt >= item.start && stationFt <= item.end);
-  return zone ? zone.tol : zones[zones.length - 1].tol;
+function jobSummary(job) {
+  const key = `${job.updatedAt}|${job.activeSetId}`;
+  const cached = state.jobSummaries.get(job.id);
+  if (cached?.key === key) return cached.summary;
+  const results = evaluateJob(job);
+  const summary = { percent: jobCompletion(job, results).percent, failures: results.failures.length, checks: results.checks.length, results };
+  state.jobSummaries.set(job.id, { key, summary });
+  return summary;
 }
 
-function stationEval(job, station, previous) {
-  const straightTol = Math.abs(toNum(job.straightnessTolIn, 0.25));
-  const rateTol = Math.abs(toNum(job.rateTolPer20Ft, 0.125));
-  const spanTol = Math.abs(toNum(job.spanTolIn, 0.25));
-  const rrTol = Math.abs(toNum(job.railToRailTolIn, 0.375));
-  const elevTol = Math.abs(toNum(job.elevationTolIn, 0.25));
-  const rollTol = Math.abs(toNum(job.beamRollTolDeg, 1.1));
-  const referenceSpan = toNum(job.referenceSpanIn, NaN);
-  const eccTol = Math.abs(eccentricityTolAt(job, station.stationFt));
-  const railA = toNum(station.railA, NaN);
-  const railB = toNum(station.railB, NaN);
-  const beamA = toNum(station.beamA, NaN);
-  const beamB = toNum(station.beamB, NaN);
-  const elevA = toNum(station.elevA, NaN);
-  const elevB = toNum(station.elevB, NaN);
+function showDashboard(show) {
+  $("#dashboardView").hidden = !show;
+  $(".app-shell").hidden = show;
+  $("#dashboardButton").setAttribute("aria-pressed", String(show));
+  renderDashboard();
+  window.scrollTo({ top: 0, behavior: "smooth" });
+}
+
+function renderDashboard() {
+  if ($("#dashboardView").hidden) return;
+  const entries = state.jobs.map((job) => ({ job, summary: jobSummary(job) }));
+  const active = entries.filter(({ job }) => !job.archived);
+  $("#dashboardMetrics").innerHTML = [
+    ["Active Jobs", active.length],
+    ["In Progress", active.filter(({ summary }) => summary.percent < 100).length],
+    ["Jobs With Failures", active.filter(({ summary }) => summary.failures).length],
+    ["Open Failed Checks", active.reduce((sum, { summary }) => sum + summary.failures, 0)]
+  ].map(([label, value]) => `<div class="metric"><span>${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>`).join("");
+
+  const search = $("#dashboardSearch").value.trim().toLowerCase();
+  const filter = dashboardFilters[$("#dashboardFilter").value] || dashboardFilters.active;
+  const rows = entries
+    .filter(({ job, summary }) => filter(job, summary))
+    .filter(({ job }) => !search || [job.customer, job.facilityLocation, job.serviceBay, job.projectName, job.jobNumber, job.reportNumber, job.surveyDate, job.craneManufacturer].join(" ").toLowerCase().includes(search))
+    .sort(dashboardSorts[$("#dashboardSort").value] || dashboardSorts.updated);
+  $("#dashboardTable").innerHTML = rows.length
+    ? rows.map(({ job, summary }) => `
+      <tr class="${job.id === state.activeId ? "dashboard-current" : ""}">
+        <td><input type="checkbox" data-compare-job="${escapeHtml(job.id)}" aria-label="Compare ${escapeHtml(jobTitle(job))}" ${state.compareJobIds.has(job.id) ? "checked" : ""} /></td>
+        <td><strong>${escapeHtml(job.customer || "No customer")}</strong>${job.jobNumber ? `<br><small>Job ${escapeHtml(job.jobNumber)}</small>` : ""}${job.archived ? `<br><small>Archived</small>` : ""}</td>
+        <td>${escapeHtml(job.facilityLocation)}</td>
+        <td>${escapeHtml(job.serviceBay || job.projectName)}</td>
+        <td>${escapeHtml(job.surveyDate || "Not set")}</td>
+        <td><div class="mini-progress"><span style="width: ${summary.percent}%"></span></div><small>${summary.percent}%</small></td>
+        <td><span class="result-pill ${summary.failures ? "fail" : "pass"}">${summary.checks ? summary.failures : "No data"}</span></td>
+        <td>${escapeHtml(job.updatedAt ? new Date(job.updatedAt).toLocaleString() : "")}</td>
+        <td class="dashboard-actions">
+          <button class="primary" type="button" data-open-job="${escapeHtml(job.id)}">Open</button>
+          <button type="button" data-archive-job="${escapeHtml(job.id)}">${job.archived ? "Restore" : "Archive"}</button>
+        </td>
+      </tr>`).join("")
+    : `<tr><td colspan="9">No jobs match this search.</td></tr>`;
+  renderCompareButton();
+  renderJobComparison();
+}
+
+function renderCompareButton() {
+  const selected = state.jobs.filter((job) => state.compareJobIds.has(job.id)).length;
+  $("#compareJobsButton").disabled = selected < 2;
+  $("#compareJobsButton").textContent = `Compare Selected (${selected})`;
+}
+
+function renderJobComparison() {
+  const panel = $("#dashboardCompare");
+  const jobs = state.jobs.filter((job) => state.compareJobIds.has(job.id));
+  panel.hidden = !state.showComparison || jobs.length < 2;
+  if (panel.hidden) return;
+  const summaries = jobs.map(jobSummary);
+  const maxFailed = (summary) => summary.results.failures.reduce((max, check) => Math.max(max, Math.abs(check.measured)), 0);
+  const checkNames = [...new Set(summaries.flatMap((summary) => summary.results.failures.map((check) => check.name)))];
+  const rows = [
+    ["Facility", (job) => job.facilityLocation],
+    ["Bay / Project", (job) => job.serviceBay || job.projectName],
+    ["Survey Date", (job) => job.surveyDate],
+    ["Reading Set", (job) => readingSet(job).name],
+    ["Tolerance Standard", (job) => presetCitation(job.tolerancePreset) || "Job-specific tolerances"],
+    ["Stations", (job) => job.stations.length],
+    ["Reviewed", (job) => `${stationViews(job).filter((station) => station.reviewed).length}/${job.stations.length}`],
+    ["Completion", (job, summary) => `${summary.percent}%`],
+    ["Checks Evaluated", (job, summary) => summary.checks],
+    ["Out-of-Tolerance Checks", (job, summary) => summary.failures],
+    ["Max Failed Deviation", (job, summary) => (summary.failures ? fmt(maxFailed(summary)) : "-")],
+    ...checkNames.map((name) => [`Failures: ${name}`, (job, summary) => summary.results.failures.filter((check) => check.name === name).length])
+  ];
+  panel.innerHTML = `
+    <div class="history-heading">
+      <h3>Job Comparison</h3>
+      <button id="closeComparisonButton" type="button">Close Comparison</button>
+    </div>
+    <div class="table-wrap">
+      <table class="report-table">
+        <thead><tr><th></th>${jobs.map((job) => `<th>${escapeHtml(job.customer || "No customer")}<br><small>${escapeHtml(job.serviceBay || job.projectName || "")}</small></th>`).join("")}</tr></thead>
+        <tbody>${rows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th>${jobs.map((job, index) => `<td>${escapeHtml(value(job, summaries[index]) ?? "")}</td>`).join("")}</tr>`).join("")}</tbody>
+      </table>
+    </div>`;
+}
+
+function findPreset(id) {
+  return state.presets.find((preset) => preset.id === id);
+}
+
+function presetCitation(reference) {
+  if (!reference) return "";
+  if (reference.placeholder) return `the "${reference.name}" preset (placeholder limits, not taken from any published standard${reference.modified ? ", modified on this job" : ""})`;
+  return `${reference.standard || reference.name} (${reference.name}, v${reference.version})${reference.modified ? ", modified on this job" : ""}`;
+}
+
+async function loadPresets() {
+  try {
+    state.presets = await readRecords(PRESET_STORE, PRESET_KEY);
+  } catch {
+    state.presets = [];
+  }
+  state.presets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function savePresets(removedId) {
+  return writeRecords(PRESET_STORE, PRESET_KEY, state.presets, removedId);
+}
+
+function applyPreset(job, preset) {
+  const values = convertJobUnits({ ...preset.values, units: preset.units || "imperial" }, job.units);
+  Object.entries(values).forEach(([field, value]) => {
+    if (TOLERANCE_FIELDS.includes(field)) job[field] = value;
+  });
+  job.tolerancePreset = {
+    id: preset.id,
+    name: preset.name,
+    standard: preset.standard,
+    version: preset.version,
+    appliedAt: new Date().toISOString(),
+    modified: false
+  };
+}
+
+function presetFromJob(job, existing = {}) {
+  return {
+    id: existing.id || `preset-${Date.now()}-${Math.random().toString(16).slice(2, 6)}`,
+    name: existing.name || "Custom preset",
+    standard: existing.standard || "Company standard",
+    version: (Number(existing.version) || 0) + 1,
+    updatedAt: new Date().toISOString(),
+    units: jobUnits(job) === unitSystems.metric ? "metric" : "imperial",
+    values: Object.fromEntries(TOLERANCE_FIELDS.map((field) => [field, job[field] ?? ""]))
+  };
+}
+
+function normalizeImportedPreset(preset) {
+  if (!preset || typeof preset !== "object" || !preset.name || typeof preset.values !== "object") return null;
+  const values = Object.fromEntries(TOLERANCE_FIELDS.filter((field) => preset.values[field] !== undefined).map((field) => [field, String(preset.values[field])]));
+  if (!Object.keys(values).length) return null;
+  return {
+    id: String(preset.id || `preset-${Date.now()}-${Math.random().toString(16).slice(2, 6)}`),
+    name: String(preset.name),
+    standard: String(preset.standard || "Company standard"),
+    version: Number(preset.version) || 1,
+    updatedAt: preset.updatedAt || new Date().toISOString(),
+    units: preset.units === "metric" ? "metric" : "imperial",
+    values
+  };
+}
+
+async function importPresets(file) {
+  const parsed = JSON.parse(await file.text());
+  const incoming = (Array.isArray(parsed) ? parsed : parsed.presets || []).map(normalizeImportedPreset).filter(Boolean);
+  if (!incoming.length) throw new Error("No presets found.");
+  incoming.forEach((preset) => {
+    const index = state.presets.findIndex((item) => item.id === preset.id);
+    if (index < 0) state.presets.push(preset);
+    else if (preset.version >= state.presets[index].version) state.presets[index] = preset;
+  });
+  state.presets.sort((a, b) => a.name.localeCompare(b.name));
+  await savePresets();
+  return incoming.length;
+}
+
+function exportPresets() {
+  downloadFile("tolerance-presets.json", "application/json", JSON.stringify({ type: "big-g-tolerance-presets", exportedAt: new Date().toISOString(), presets: state.presets }, null, 2));
+}
+
+function renderPresetLibrary() {
+  const job = activeJob();
+  const select = $("#tolerancePresetSelect");
+  const selected = select.value || job.tolerancePreset?.id || "";
+  select.innerHTML = `
+    <option value="">${state.presets.length ? "Choose a preset" : "No company presets yet"}</option>
+    ${state.presets.map((preset) => `<option value="${escapeHtml(preset.id)}">${escapeHtml(preset.name)} (v${escapeHtml(preset.version)})</option>`).join("")}`;
+  select.value = findPreset(selected) ? selected : "";
+  const preset = findPreset(select.value);
+  $("#applyPresetButton").disabled = !preset;
+  $("#updatePresetButton").disabled = !preset;
+  $("#deletePresetButton").disabled = !preset;
+  $("#exportPresetsButton").disabled = !state.presets.length;
+  renderPresetStatus();
+}
+
+function renderPresetStatus() {
+  const reference = activeJob().tolerancePreset;
+  $("#presetStatus").textContent = reference
+    ? `Evaluated against ${presetCitation(reference)}.${reference.placeholder ? " Check every limit against the governing specification, then save them as a company preset." : ""}`
+    : "No preset applied. Tolerances are entered manually for this job.";
+}
+
+function findTemplate(id) {
+  return state.templates.find((template) => template.id === id);
+}
+
+async function loadTemplates() {
+  try {
+    state.templates = await readRecords(TEMPLATE_STORE, TEMPLATE_KEY);
+  } catch {
+    state.templates = [];
+  }
+  state.templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function saveTemplates(removedId) {
+  return writeRecords(TEMPLATE_STORE, TEMPLATE_KEY, state.templates, removedId);
+}
+
+function templateValues(values) {
+  return Object.fromEntries(Object.keys(defaults)
+    .filter((field) => !TEMPLATE_JOB_SKIP.includes(field) && values[field] !== undefined)
+    .map((field) => [field, structuredClone(values[field])]));
+}
+
+function stationLayout(station) {
+  return {
+    stationFt: toNum(station.stationFt, 0),
+    columnLabel: String(station.columnLabel ?? ""),
+    type: STATION_TYPES.includes(station.type) ? station.type : "Column",
+    marker: stationMarkers[station.marker] ? station.marker : ""
+  };
+}
+
+function templateFromJob(job, existing = {}) {
+  return {
+    id: existing.id || `template-${Date.now()}-${Math.random().toString(16).slice(2, 6)}`,
+    name: existing.name || jobTitle(job) || "Job template",
+    version: (Number(existing.version) || 0) + 1,
+    updatedAt: new Date().toISOString(),
+    values: templateValues(job),
+    stations: job.stations.map(stationLayout)
+  };
+}
+
+function createJobFromTemplate(template) {
+  if (!template) return createJob();
+  const stations = template.stations.map((layout, index) => ({ ...blankStation(layout.stationFt, index), ...stationLayout(layout) }));
+  return createJob({ ...templateValues(template.values), stations });
+}
+
+function normalizeImportedTemplate(template) {
+  if (!template || typeof template !== "object" || !template.name || typeof template.values !== "object") return null;
+  const values = templateValues(template.values);
+  if (!Object.keys(values).length) return null;
+  return {
+    id: String(template.id || `template-${Date.now()}-${Math.random().toString(16).slice(2, 6)}`),
+    name: String(template.name),
+    version: Number(template.version) || 1,
+    updatedAt: template.updatedAt || new Date().toISOString(),
+    values,
+    stations: (Array.isArray(template.stations) ? template.stations : []).filter((station) => Number.isFinite(toNum(station?.stationFt, NaN))).map(stationLayout)
+  };
+}
+
+async function importTemplates(file) {
+  const parsed = JSON.parse(await file.text());
+  const incoming = (Array.isArray(parsed) ? parsed : parsed.templates || []).map(normalizeImportedTemplate).filter(Boolean);
+  if (!incoming.length) throw new Error("No templates found.");
+  incoming.forEach((template) => {
+    const index = state.templates.findIndex((item) => item.id === template.id);
+    if (index < 0) state.templates.push(template);
+    else if (template.version >= state.templates[index].version) state.templates[index] = template;
+  });
+  state.templates.sort((a, b) => a.name.localeCompare(b.name));
+  await saveTemplates();
+  return incoming.length;
+}
+
+function exportTemplates() {
+  downloadFile("job-templates.json", "application/json", JSON.stringify({ type: "big-g-job-templates", exportedAt: new Date().toISOString(), templates: state.templates }, null, 2));
+}
+
+function renderTemplateLibrary() {
+  const select = $("#jobTemplateSelect");
+  const selected = select.value;
+  select.innerHTML = `
+    <option value="">Blank job</option>
+    ${state.templates.map((template) => `<option value="${escapeHtml(template.id)}">${escapeHtml(template.name)} (v${escapeHtml(template.version)}, ${template.stations.length} stations)</option>`).join("")}`;
+  select.value = findTemplate(selected) ? selected : "";
+  $("#deleteTemplateButton").disabled = !select.value;
+  $("#exportTemplatesButton").disabled = !state.templates.length;
+}
+
+function parseZones(text, job = activeJob()) {
+  const zones = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const parts = line.split(",").map((part) => toNum(part.trim(), NaN));
+      if (parts.length === 1) return { start: -Infinity, end: Infinity, tol: parts[0] };
+      const [start, end, tol] = parts;
+      return { start, end, tol };
+    })
+    .filter((zone) => !Number.isNaN(zone.start) && !Number.isNaN(zone.end) && Number.isFinite(zone.tol));
+  return zones.length ? zones : [{ start: -Infinity, end: Infinity, tol: job ? jobTolerance(job, "straightnessTolIn") : 0.25 }];
+}
+
+function eccentricityTolAt(job, stationFt) {
+  const zones = parseZones(job.eccentricityZonesText, job);
+  const zone = zones.find((item) => stationFt >= item.start && stationFt <= item.end);
+  return zone ? zone.tol : zones[zones.length - 1].tol;
+}
+
+function interpolateAt(points, x) {
+  if (x <= points[0].x) return points[0].v;
+  const index = points.findIndex((point) => point.x >= x);
+  if (index < 0) return points[points.length - 1].v;
+  const before = points[index - 1];
+  const after = points[index];
+  const run = after.x - before.x;
+  return run ? before.v + ((x - before.x) / run) * (after.v - before.v) : after.v;
+}
+
+function rateWindowFt(job) {
+  return Math.max(jobUnits(job).perFoot, jobTolerance(job, "rateWindowFt"));
+}
+
+function rateWindowResults(job, views) {
+  const windowFt = rateWindowFt(job);
+  const sorted = [...views].sort((a, b) => toNum(a.stationFt) - toNum(b.stationFt));
+  const byStation = new Map();
+  rateSeries.forEach((series) => {
+    const points = sorted
+      .map((station) => ({ x: toNum(station.stationFt), v: series.value(station, job), station }))
+      .filter((point) => Number.isFinite(point.v));
+    if (points.length < 2) return;
+    const first = points[0].x;
+    const last = points[points.length - 1].x;
+    const candidates = [];
+    if (last - first <= windowFt) {
+      candidates.push({ station: points[points.length - 1].station, start: first, end: last });
+    } else {
+      points.forEach((point) => {
+        if (point.x + windowFt <= last + 0.0001) candidates.push({ station: point.station, start: point.x, end: point.x + windowFt });
+        if (point.x - windowFt >= first - 0.0001) candidates.push({ station: point.station, start: point.x - windowFt, end: point.x });
+      });
+    }
+    candidates.forEach((candidate) => {
+      const change = interpolateAt(points, candidate.end) - interpolateAt(points, candidate.start);
+      const windows = byStation.get(candidate.station.id) || [];
+      const index = windows.findIndex((item) => item.series === series);
+      const result = { series, change, start: candidate.start, end: candidate.end };
+      if (index < 0) windows.push(result);
+      else if (Math.abs(change) > Math.abs(windows[index].change)) windows[index] = result;
+      byStation.set(candidate.station.id, windows);
+    });
+  });
+  return byStation;
+}
+
+function readingText(job, field, value) {
+  return ANGLE_FIELDS.includes(field) ? `${fmt(value, 2)} deg` : offsetText(job, value);
+}
+
+function neighbourOutlier(job, station, field) {
+  const points = job.stations
+    .filter((item) => item.id === station.id || !readingFlags(job, item)[field] || readingFlags(job, item)[field].status === "reshot")
+    .map((item) => ({ id: item.id, x: toNum(item.stationFt, NaN), v: toNum(stationValue(job, item, field), NaN) }))
+    .filter((point) => Number.isFinite(point.x) && Number.isFinite(point.v))
+    .sort((a, b) => a.x - b.x);
+  const index = points.findIndex((point) => point.id === station.id);
+  if (index < 0 || points.length < OUTLIER_MIN_STATIONS) return null;
+  const expectedAt = (at) => {
+    const prev = points[at - 1];
+    const next = points[at + 1];
+    if (!prev || !next) return (prev || next).v;
+    return prev.v + ((next.v - prev.v) * (points[at].x - prev.x)) / (next.x - prev.x || 1);
+  };
+  const residuals = points.map((point, at) => Math.abs(point.v - expectedAt(at))).filter((_, at) => at !== index).sort((a, b) => a - b);
+  const scale = 1.4826 * residuals[Math.floor(residuals.length / 2)];
+  const expected = expectedAt(index);
+  const jump = points[index].v - expected;
+  return Math.abs(jump) > Math.max(OUTLIER_SIGMA * scale, jobTolerance(job, outlierTolFields[field])) ? { expected, jump } : null;
+}
+
+function readingWarning(job, station, field) {
+  const value = toNum(stationValue(job, station, field), NaN);
+  if (!Number.isFinite(value)) return "";
+  const limit = plausibleReadings[field] * (ANGLE_FIELDS.includes(field) ? 1 : jobUnits(job).perInch);
+  if (field === "span") {
+    const reference = toNum(job.referenceSpanIn, NaN);
+    if (Number.isFinite(reference) && Math.abs(value - reference) > limit) return `Span is ${offsetText(job, Math.abs(value - reference))} from the ${offsetText(job, reference)} reference span.`;
+  } else if (Math.abs(value) > limit) {
+    return `${readingText(job, field, value)} is outside the plausible range for ${readingLabels[field]} (±${readingText(job, field, limit)}).`;
+  }
+  const outlier = neighbourOutlier(job, station, field);
+  return outlier ? `${readingLabels[field]} jumps ${readingText(job, field, Math.abs(outlier.jump))} from the neighbouring stations (expected about ${readingText(job, field, outlier.expected)}).` : "";
+}
+
+function stationEval(job, station, rateWindows = new Map()) {
+  const straightTol = jobTolerance(job, "straightnessTolIn");
+  const spanTol = jobTolerance(job, "spanTolIn");
+  const rrTol = jobTolerance(job, "railToRailTolIn");
+  const elevTol = jobTolerance(job, "elevationTolIn");
+  const rollTol = Math.abs(toNum(job.beamRollTolDeg, 1.1));
+  const referenceSpan = toNum(job.referenceSpanIn, NaN);
+  const eccTol = Math.abs(eccentricityTolAt(job, station.stationFt));
+  const railA = toNum(station.railA, NaN);
+  const railB = toNum(station.railB, NaN);
+  const beamA = toNum(station.beamA, NaN);
+  const beamB = toNum(station.beamB, NaN);
+  const elevA = toNum(station.elevA, NaN);
+  const elevB = toNum(station.elevB, NaN);
   const span = toNum(station.span, NaN);
   const rollA = toNum(station.rollA, NaN);
   const rollB = toNum(station.rollB, NaN);
   const checks = [];
 
-  addCheck(checks, "Straightness A", station, railA, straightTol, "Rail A horizontal offset", correctionAxis(railA, straightTol, "Rail A"));
-  addCheck(checks, "Straightness B", station, railB, straightTol, "Rail B horizontal offset", correctionAxis(railB, straightTol, "Rail B"));
+  addCheck(checks, "Straightness A", station, railA, straightTol, "Rail A horizontal offset", correctionAxis(job, railA, straightTol, "Rail A"));
+  addCheck(checks, "Straightness B", station, railB, straightTol, "Rail B horizontal offset", correctionAxis(job, railB, straightTol, "Rail B"));
   if (Number.isFinite(beamA) && Number.isFinite(railA)) {
-    addCheck(checks, "Eccentricity A", station, railA - beamA, eccTol, "Rail A vs beam A centerline", correctionAxis(railA - beamA, eccTol, "Rail A"));
+    addCheck(checks, "Eccentricity A", station, railA - beamA, eccTol, "Rail A vs beam A centerline", correctionAxis(job, railA - beamA, eccTol, "Rail A"));
   }
   if (Number.isFinite(beamB) && Number.isFinite(railB)) {
-    addCheck(checks, "Eccentricity B", station, railB - beamB, eccTol, "Rail B vs beam B centerline", correctionAxis(railB - beamB, eccTol, "Rail B"));
+    addCheck(checks, "Eccentricity B", station, railB - beamB, eccTol, "Rail B vs beam B centerline", correctionAxis(job, railB - beamB, eccTol, "Rail B"));
   }
-  addCheck(checks, "Elevation A", station, elevA, elevTol, "Top of rail A elevation from baseline", correctionVertical(elevA, elevTol, job.sideALabel));
-  addCheck(checks, "Elevation B", station, elevB, elevTol, "Top of rail B elevation from baseline", correctionVertical(elevB, elevTol, job.sideBLabel));
+  addCheck(checks, "Elevation A", station, elevA, elevTol, "Top of rail A elevation from baseline", correctionVertical(job, elevA, elevTol, job.sideALabel));
+  addCheck(checks, "Elevation B", station, elevB, elevTol, "Top of rail B elevation from baseline", correctionVertical(job, elevB, elevTol, job.sideBLabel));
   if (Number.isFinite(elevA) && Number.isFinite(elevB)) {
-    addCheck(checks, "Rail-to-Rail Elevation", station, elevA - elevB, rrTol, "Cross-level A minus B", correctionCrossLevel(elevA - elevB, rrTol, job.sideALabel, job.sideBLabel));
+    addCheck(checks, "Rail-to-Rail Elevation", station, elevA - elevB, rrTol, "Cross-level A minus B", correctionCrossLevel(job, elevA - elevB, rrTol, job.sideALabel, job.sideBLabel));
   }
   if (Number.isFinite(span) && Number.isFinite(referenceSpan)) {
     const delta = span - referenceSpan;
-    addCheck(checks, "Runway Span", station, delta, spanTol, "Measured span vs reference span", correctionSpan(delta, spanTol));
+    addCheck(checks, "Runway Span", station, delta, spanTol, "Measured span vs reference span", correctionSpan(job, delta, spanTol));
   }
   addCheck(checks, "Beam Roll A", station, rollA, rollTol, "Beam A rotation", correctionRoll(rollA, rollTol, job.sideALabel));
   addCheck(checks, "Beam Roll B", station, rollB, rollTol, "Beam B rotation", correctionRoll(rollB, rollTol, job.sideBLabel));
+  (job.customFields || []).filter((custom) => custom.type === "number" && String(custom.tolerance ?? "").trim()).forEach((custom) => {
+    const name = custom.name || "Custom field";
+    const nominal = toNum(custom.nominal, 0);
+    const tol = Math.abs(toNum(custom.tolerance, 0));
+    const unit = custom.unit ? ` ${custom.unit}` : "";
+    const check = addCheck(checks, name, station, toNum(station[custom.id], NaN) - nominal, tol, `${name} vs nominal ${fmt(nominal)}${unit}`, `Bring ${name} within ±${fmt(tol)}${unit} of ${fmt(nominal)}${unit} and re-measure.`);
+    check.custom = true;
+    check.field = custom.id;
+    check.unit = custom.unit || "";
+  });
 
-  if (previous) {
-    const distance = Math.abs(station.stationFt - previous.stationFt);
-    const scale = distance > 0 ? 20 / distance : 1;
-    const prevA = toNum(previous.railA, NaN);
-    const prevB = toNum(previous.railB, NaN);
-    if (Number.isFinite(prevA) && Number.isFinite(railA)) {
-      addCheck(checks, "Rate of Change A", station, (railA - prevA) * scale, rateTol, "Rail A change normalized to 20 ft", "Review alignment trend and re-shoot adjacent stations.");
-    }
-    if (Number.isFinite(prevB) && Number.isFinite(railB)) {
-      addCheck(checks, "Rate of Change B", station, (railB - prevB) * scale, rateTol, "Rail B change normalized to 20 ft", "Review alignment trend and re-shoot adjacent stations.");
-    }
-  }
+  (rateWindows.get(station.id) || []).forEach((window) => {
+    const tol = jobTolerance(job, window.series.tolField);
+    const location = `${fmt(window.start, jobUnits(job).lengthDigits)}-${lengthText(job, window.end)}`;
+    const check = addCheck(checks, window.series.name, station, window.change, tol, `${window.series.label} change over ${lengthText(job, rateWindowFt(job))} window (${location})`, `Smooth the ${window.series.label.toLowerCase()} transition between ${location} and re-shoot the stations in that window.`);
+    check.windowStart = window.start;
+    check.windowEnd = window.end;
+  });
 
   const failures = checks.filter((check) => check.status === "fail");
   return { checks, failures, pass: failures.length === 0 };
 }
 
 function addCheck(checks, name, station, measured, allowed, reference, correction) {
-  if (!Number.isFinite(measured)) return;
-  checks.push({
+  if (!Number.isFinite(measured)) return {};
+  const check = {
     name,
     stationId: station.id,
     stationFt: station.stationFt,
@@ -311,36 +1622,38 @@ function addCheck(checks, name, station, measured, allowed, reference, correctio
     reference,
     correction,
     status: Math.abs(measured) <= Math.abs(allowed) ? "pass" : "fail"
-  });
+  };
+  checks.push(check);
+  return check;
 }
 
-function correctionAxis(value, tol, label) {
+function correctionAxis(job, value, tol, label) {
   const excess = Math.max(0, Math.abs(value) - Math.abs(tol));
   if (!excess) return "Within tolerance.";
   const direction = value > 0 ? "move inward/negative" : "move outward/positive";
-  return `${label}: ${direction} about ${nearestFraction(excess)} (${fmt(excess)} in), then remeasure.`;
+  return `${label}: ${direction} about ${correctionSize(job, excess)} (${offsetText(job, excess)}), then remeasure.`;
 }
 
-function correctionVertical(value, tol, label) {
+function correctionVertical(job, value, tol, label) {
   const excess = Math.max(0, Math.abs(value) - Math.abs(tol));
   if (!excess) return "Within tolerance.";
-  return `${value > 0 ? "Lower" : "Raise"} ${label} about ${nearestFraction(excess)} (${fmt(excess)} in).`;
+  return `${value > 0 ? "Lower" : "Raise"} ${label} about ${correctionSize(job, excess)} (${offsetText(job, excess)}).`;
 }
 
-function correctionCrossLevel(value, tol, sideA, sideB) {
+function correctionCrossLevel(job, value, tol, sideA, sideB) {
   const excess = Math.max(0, Math.abs(value) - Math.abs(tol));
   if (!excess) return "Within tolerance.";
   return value > 0
-    ? `Lower ${sideA} or raise ${sideB} about ${nearestFraction(excess)} (${fmt(excess)} in).`
-    : `Lower ${sideB} or raise ${sideA} about ${nearestFraction(excess)} (${fmt(excess)} in).`;
+    ? `Lower ${sideA} or raise ${sideB} about ${correctionSize(job, excess)} (${offsetText(job, excess)}).`
+    : `Lower ${sideB} or raise ${sideA} about ${correctionSize(job, excess)} (${offsetText(job, excess)}).`;
 }
 
-function correctionSpan(delta, tol) {
+function correctionSpan(job, delta, tol) {
   const excess = Math.max(0, Math.abs(delta) - Math.abs(tol));
   if (!excess) return "Within tolerance.";
   return delta > 0
-    ? `Span is wide. Move rails in about ${nearestFraction(excess)} (${fmt(excess)} in total).`
-    : `Span is narrow. Move rails out about ${nearestFraction(excess)} (${fmt(excess)} in total).`;
+    ? `Span is wide. Move rails in about ${correctionSize(job, excess)} (${offsetText(job, excess)} total).`
+    : `Span is narrow. Move rails out about ${correctionSize(job, excess)} (${offsetText(job, excess)} total).`;
 }
 
 function correctionRoll(value, tol, label) {
@@ -349,37 +1662,553 @@ function correctionRoll(value, tol, label) {
   return `${label}: beam roll exceeds tolerance by ${fmt(excess, 2)} degrees. Review bearing/shim condition.`;
 }
 
-function evaluateJob(job = activeJob()) {
-  const sorted = [...(job?.stations || [])].sort((a, b) => toNum(a.stationFt) - toNum(b.stationFt));
-  const stationResults = sorted.map((station, index) => ({
+function evaluateJob(job = activeJob(), setId = job?.activeSetId) {
+  const sorted = evaluationViews(job, setId).sort((a, b) => toNum(a.stationFt) - toNum(b.stationFt));
+  const rateWindows = rateWindowResults(job, sorted);
+  const stationResults = sorted.map((station) => ({
     station,
-    ...stationEval(job, station, sorted[index - 1])
+    ...stationEval(job, station, rateWindows)
   }));
   const checks = stationResults.flatMap((result) => result.checks);
   const failures = checks.filter((check) => check.status === "fail");
   return { stationResults, checks, failures };
 }
 
-function renderCompletion() {
+function comparisonSetIds(job) {
+  if (job.readingSets.length < 2) return null;
+  const beforeId = job.readingSets[0].id;
+  const afterId = job.activeSetId !== beforeId ? job.activeSetId : job.readingSets[job.readingSets.length - 1].id;
+  return { beforeId, afterId };
+}
+
+function compareReadingSets(job, beforeId, afterId) {
+  const key = (check) => `${check.stationId}|${check.name}`;
+  const before = new Map(evaluateJob(job, beforeId).checks.map((check) => [key(check), check]));
+  const after = new Map(evaluateJob(job, afterId).checks.map((check) => [key(check), check]));
+  const rows = [...new Set([...before.keys(), ...after.keys()])].map((id) => {
+    const was = before.get(id);
+    const now = after.get(id);
+    const check = was || now;
+    let outcome = "";
+    if (was?.status === "fail" && now?.status === "pass") outcome = "Resolved";
+    else if (was?.status === "fail" && now?.status === "fail") outcome = "Still failing";
+    else if (was?.status === "fail") outcome = "Not re-measured";
+    else if (now?.status === "fail") outcome = "New failure";
+    return { stationFt: check.stationFt, name: check.name, before: was, after: now, allowed: (now || was).allowed, outcome };
+  }).filter((row) => row.outcome);
+  rows.sort((a, b) => a.stationFt - b.stationFt || a.name.localeCompare(b.name));
+  return {
+    rows,
+    resolved: rows.filter((row) => row.outcome === "Resolved").length,
+    remaining: rows.filter((row) => row.outcome === "Still failing" || row.outcome === "Not re-measured").length,
+    introduced: rows.filter((row) => row.outcome === "New failure").length
+  };
+}
+
+function renderReadingSetComparison(job) {
+  const ids = comparisonSetIds(job);
+  if (!ids) return "";
+  const beforeName = readingSet(job, ids.beforeId).name;
+  const afterName = readingSet(job, ids.afterId).name;
+  const comparison = compareReadingSets(job, ids.beforeId, ids.afterId);
+  return `
+    <section>
+      <h3>${escapeHtml(beforeName)} vs ${escapeHtml(afterName)}</h3>
+      <div class="report-grid">
+        ${reportField("Failures Resolved", String(comparison.resolved))}
+        ${reportField("Failures Remaining", String(comparison.remaining))}
+        ${reportField("New Failures", String(comparison.introduced))}
+        ${reportField("Stations Compared", String(job.stations.length))}
+      </div>
+      ${comparison.rows.length ? `<table class="report-table">
+        <thead><tr><th>Station</th><th>Check</th><th>${escapeHtml(beforeName)}</th><th>${escapeHtml(afterName)}</th><th>Allowed</th><th>Result</th></tr></thead>
+        <tbody>${comparison.rows.map((row) => `
+          <tr class="outcome-${row.outcome.toLowerCase().replace(/\s+/g, "-")}">
+            <td>${lengthText(job, row.stationFt)}</td>
+            <td>${escapeHtml(row.name)}</td>
+            <td>${row.before ? fmt(row.before.measured) : "-"}</td>
+            <td>${row.after ? fmt(row.after.measured) : "-"}</td>
+            <td>±${fmt(row.allowed)}</td>
+            <td>${escapeHtml(row.outcome)}</td>
+          </tr>`).join("")}</tbody>
+      </table>` : `<p>Neither reading set has out-of-tolerance items.</p>`}
+    </section>`;
+}
+
+function runwaySurveys(job) {
+  if (!job.runwayId) return [];
+  return state.jobs
+    .filter((other) => other.runwayId === job.runwayId)
+    .sort((a, b) => String(a.surveyDate || "").localeCompare(String(b.surveyDate || "")) || String(a.createdAt || "").localeCompare(String(b.createdAt || "")));
+}
+
+function earlierSurveys(job) {
+  const surveys = runwaySurveys(job);
+  return surveys.slice(0, surveys.indexOf(job)).reverse();
+}
+
+function trendBaseline(job) {
+  const others = runwaySurveys(job).filter((other) => other !== job);
+  return others.find((other) => other.id === job.trendBaselineId) || earlierSurveys(job)[0] || others[others.length - 1] || null;
+}
+
+function trendSetId(job) {
+  const measured = job.readingSets.filter((set) => job.stations.some((station) => MEASUREMENT_FIELDS.some((field) => stationValue(job, station, field, set.id) !== "")));
+  return (measured[measured.length - 1] || readingSet(job)).id;
+}
+
+function trendLabel(job) {
+  return `${job.surveyDate || "Undated"} ${readingSet(job, trendSetId(job)).name}`;
+}
+
+function linkRunwaySurvey(job, other) {
+  const runwayId = other.runwayId || job.runwayId || `runway-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  const previous = [job.runwayId, other.runwayId].filter((id) => id && id !== runwayId);
+  state.jobs.filter((item) => item === job || item === other || previous.includes(item.runwayId)).forEach((item) => {
+    item.runwayId = runwayId;
+    touchJob(item);
+  });
+  logHistory(job, { action: "trend", summary: `Linked as a survey of the same runway as "${jobTitle(other)}"` });
+}
+
+function unlinkRunwaySurvey(job) {
+  const baseline = trendBaseline(job);
+  job.runwayId = "";
+  job.trendBaselineId = "";
+  if (baseline) logHistory(job, { action: "trend", summary: `Unlinked from the runway survey series including "${jobTitle(baseline)}"` });
+  touchJob(job);
+}
+
+function compareSurveys(job, baseline) {
+  const threshold = jobTolerance(job, "trendThresholdIn");
+  const earlierJob = inJobUnits(job, baseline);
+  const earlier = evaluationViews(earlierJob, trendSetId(earlierJob));
+  const matchDistance = TREND_MATCH_FT * jobUnits(job).perFoot;
+  const rows = evaluationViews(job).map((station) => {
+    const x = toNum(station.stationFt);
+    const match = earlier
+      .filter((candidate) => Math.abs(toNum(candidate.stationFt) - x) <= matchDistance)
+      .sort((a, b) => Math.abs(toNum(a.stationFt) - x) - Math.abs(toNum(b.stationFt) - x))[0];
+    if (!match) return null;
+    const fields = trendFields.map((field) => {
+      const before = field.value(match, earlierJob);
+      const now = field.value(station, job);
+      if (!Number.isFinite(before) || !Number.isFinite(now)) return null;
+      const growth = Math.abs(now) - Math.abs(before);
+      return { key: field.key, label: field.label(job), before, now, drift: now - before, growth, flagged: growth > threshold };
+    });
+    if (!fields.some(Boolean)) return null;
+    return { stationFt: x, columnLabel: station.columnLabel, fields, flagged: fields.some((field) => field?.flagged) };
+  }).filter(Boolean);
+  const worst = rows
+    .flatMap((row) => row.fields.filter(Boolean).map((field) => ({ ...field, stationFt: row.stationFt })))
+    .reduce((max, field) => (!max || field.growth > max.growth ? field : max), null);
+  return { rows, threshold, flagged: rows.filter((row) => row.flagged), worst };
+}
+
+function describeTrend(job, baseline, trend) {
+  if (!trend.rows.length) return `No stations of this survey line up with the ${trendLabel(baseline)} survey within ${lengthText(job, TREND_MATCH_FT * jobUnits(job).perFoot)}.`;
+  const growth = trend.flagged.length
+    ? `${trend.flagged.length} station(s) grew by more than ${offsetText(job, trend.threshold)}`
+    : `No station grew by more than ${offsetText(job, trend.threshold)}`;
+  const worst = trend.worst && trend.worst.growth > 0 ? ` Largest growth: ${offsetText(job, trend.worst.growth)} (${trend.worst.label}) at ${lengthText(job, trend.worst.stationFt)}.` : "";
+  return `${growth} compared with the ${trendLabel(baseline)} survey (${trend.rows.length} stations compared).${worst}`;
+}
+
+function trendCell(job, field) {
+  if (!field) return "-";
+  return `${field.drift >= 0 ? "+" : ""}${fmtOffset(job, field.drift)}`;
+}
+
+function renderTrend() {
   const job = activeJob();
-  const results = evaluateJob(job);
+  const linked = runwaySurveys(job).filter((other) => other !== job);
+  const candidates = state.jobs.filter((other) => other !== job && !linked.includes(other));
+  $("#trendLinkSelect").innerHTML = candidates.length
+    ? candidates.map((other) => `<option value="${escapeHtml(other.id)}">${escapeHtml(jobTitle(other))}</option>`).join("")
+    : `<option value="">No other surveys on this device</option>`;
+  $("#linkSurveyButton").disabled = !candidates.length;
+  $("#unlinkSurveyButton").disabled = !job.runwayId;
+  const baseline = trendBaseline(job);
+  $("#trendBaselineSelect").innerHTML = linked.length
+    ? linked.map((other) => `<option value="${escapeHtml(other.id)}">${escapeHtml(jobTitle(other))}</option>`).join("")
+    : `<option value="">Link a survey first</option>`;
+  $("#trendBaselineSelect").value = baseline?.id || "";
+  $("#trendBaselineSelect").disabled = !linked.length;
+  if (!baseline) {
+    $("#trendSummary").textContent = "Link an earlier survey of this runway to overlay it on the charts and track drift between surveys.";
+    $("#trendHead").innerHTML = "";
+    $("#trendTable").innerHTML = "";
+    return;
+  }
+  const trend = compareSurveys(job, baseline);
+  $("#trendSummary").textContent = describeTrend(job, baseline, trend);
+  $("#trendHead").innerHTML = `<tr><th>Station</th><th>Column</th>${trendFields.map((field) => `<th>${escapeHtml(field.label(job))} Drift</th>`).join("")}<th>Trend</th></tr>`;
+  $("#trendTable").innerHTML = trend.rows.map((row) => `
+    <tr>
+      <td>${lengthText(job, row.stationFt)}</td>
+      <td>${escapeHtml(row.columnLabel || "")}</td>
+      ${row.fields.map((field) => `<td class="${field?.flagged ? "trend-flagged" : ""}" title="${field ? `${fmtOffset(job, field.before)} to ${offsetText(job, field.now)}` : ""}">${trendCell(job, field)}</td>`).join("")}
+      <td><span class="result-pill ${row.flagged ? "fail" : "pass"}">${row.flagged ? "GREW" : "STABLE"}</span></td>
+    </tr>`).join("");
+}
+
+function renderReportTrend(job) {
+  const baseline = trendBaseline(job);
+  if (!baseline) return "";
+  const trend = compareSurveys(job, baseline);
+  return `
+    <section>
+      <h3>Survey Trend</h3>
+      <p>${escapeHtml(describeTrend(job, baseline, trend))}</p>
+      <p>Surveys of this runway: ${escapeHtml(runwaySurveys(job).map((survey) => survey.surveyDate || "Undated").join(", "))}. Other surveys of this runway are overlaid as dashed lines on the review charts.</p>
+      ${trend.flagged.length ? `<table class="report-table">
+        <thead><tr><th>Station</th><th>Measurement</th><th>${escapeHtml(trendLabel(baseline))}</th><th>This Survey</th><th>Drift</th><th>Growth</th></tr></thead>
+        <tbody>${trendReportRows(trend).map((row) => `
+          <tr class="outcome-new-failure">
+            <td>${lengthText(job, row.stationFt)}</td>
+            <td>${escapeHtml(row.field.label)}</td>
+            <td>${fmtOffset(job, row.field.before)}</td>
+            <td>${fmtOffset(job, row.field.now)}</td>
+            <td>${trendCell(job, row.field)}</td>
+            <td>+${fmtOffset(job, row.field.growth)}</td>
+          </tr>`).join("")}</tbody>
+      </table>` : ""}
+    </section>`;
+}
+
+function trendReportRows(trend) {
+  return trend.flagged.flatMap((row) => row.fields.filter((field) => field?.flagged).map((field) => ({ stationFt: row.stationFt, field })));
+}
+
+function renderReadingSets() {
+  const job = activeJob();
+  $("#readingSetSelect").innerHTML = job.readingSets.map((set) => `<option value="${escapeHtml(set.id)}">${escapeHtml(set.name)}</option>`).join("");
+  $("#readingSetSelect").value = job.activeSetId;
+}
+
+function shimStock(job) {
+  const sizes = String(job.shimStockText || "")
+    .split(/[,;\s]+/)
+    .map((part) => Math.abs(toNum(part, NaN)))
+    .filter((size) => Number.isFinite(size) && size > 0)
+    .sort((a, b) => b - a);
+  return sizes.length ? [...new Set(sizes)] : [0.0625 * jobUnits(job).perInch];
+}
+
+function shimStack(amount, stock) {
+  let remaining = Math.abs(amount);
+  const smallest = stock[stock.length - 1];
+  return stock.map((size) => {
+    const count = Math.floor((remaining + smallest / 2) / size);
+    remaining -= count * size;
+    return { size, count };
+  }).filter((piece) => piece.count > 0);
+}
+
+function projectBox(moves, key, base, lo, hi) {
+  const value = base + moves[key];
+  if (value < lo) moves[key] += lo - value;
+  else if (value > hi) moves[key] -= value - hi;
+  return Math.max(0, lo - value, value - hi);
+}
+
+function projectSlab(pairs, value, lo, hi) {
+  const excess = value < lo ? lo - value : value > hi ? hi - value : 0;
+  if (!excess) return 0;
+  const total = pairs.reduce((sum, pair) => sum + pair.weight * pair.weight, 0);
+  pairs.forEach((pair) => {
+    pair.moves[pair.key] += (excess * pair.weight) / total;
+  });
+  return Math.abs(excess);
+}
+
+function solveMoves(constraints, iterations = 400) {
+  for (let pass = 0; pass < iterations; pass += 1) {
+    const worst = constraints.reduce((max, constraint) => Math.max(max, constraint()), 0);
+    if (worst < 0.00001) return true;
+  }
+  return false;
+}
+
+function planCorrections(job = activeJob()) {
+  const views = evaluationViews(job).sort((a, b) => toNum(a.stationFt) - toNum(b.stationFt));
+  const windowFt = rateWindowFt(job);
+  const straightTol = jobTolerance(job, "straightnessTolIn");
+  const elevTol = jobTolerance(job, "elevationTolIn");
+  const rrTol = jobTolerance(job, "railToRailTolIn");
+  const spanTol = jobTolerance(job, "spanTolIn");
+  const rateTol = jobTolerance(job, "rateTolPer20Ft");
+  const elevRateTol = jobTolerance(job, "elevationRateTolIn");
+  const spanRateTol = jobTolerance(job, "spanRateTolIn");
+  const referenceSpan = toNum(job.referenceSpanIn, NaN);
+  const stock = shimStock(job);
+  const items = views.map((view) => ({
+    view,
+    x: toNum(view.stationFt),
+    read: Object.fromEntries(["railA", "railB", "beamA", "beamB", "elevA", "elevB", "span"].map((field) => [field, toNum(view[field], NaN)])),
+    h: { A: 0, B: 0 },
+    v: { A: 0, B: 0 },
+    notes: []
+  }));
+  const horizontal = [];
+  const vertical = [];
+  items.forEach((item) => {
+    const eccTol = Math.abs(eccentricityTolAt(job, item.x));
+    ["A", "B"].forEach((side) => {
+      const rail = item.read[`rail${side}`];
+      const beam = item.read[`beam${side}`];
+      if (Number.isFinite(rail)) {
+        let lo = -straightTol;
+        let hi = straightTol;
+        if (Number.isFinite(beam)) {
+          const eccLo = Math.max(lo, beam - eccTol);
+          const eccHi = Math.min(hi, beam + eccTol);
+          if (eccLo <= eccHi) {
+            lo = eccLo;
+            hi = eccHi;
+          } else {
+            item.notes.push(`Rail ${side} cannot meet straightness and eccentricity together; beam ${side} needs correction.`);
+          }
+        }
+        horizontal.push(() => projectBox(item.h, side, rail, lo, hi));
+      }
+      const elev = item.read[`elev${side}`];
+      if (Number.isFinite(elev)) vertical.push(() => projectBox(item.v, side, elev, -elevTol, elevTol));
+    });
+    const sides = ["A", "B"].filter((side) => Number.isFinite(item.read[`rail${side}`]));
+    if (Number.isFinite(item.read.span) && Number.isFinite(referenceSpan) && sides.length) {
+      horizontal.push(() => projectSlab(
+        sides.map((side) => ({ moves: item.h, key: side, weight: 1 })),
+        item.read.span - referenceSpan + item.h.A + item.h.B,
+        -spanTol,
+        spanTol
+      ));
+    }
+    if (Number.isFinite(item.read.elevA) && Number.isFinite(item.read.elevB)) {
+      vertical.push(() => projectSlab(
+        [{ moves: item.v, key: "A", weight: 1 }, { moves: item.v, key: "B", weight: -1 }],
+        item.read.elevA + item.v.A - item.read.elevB - item.v.B,
+        -rrTol,
+        rrTol
+      ));
+    }
+  });
+  const addRateConstraints = (list, field, movesKey, tol) => {
+    ["A", "B"].forEach((side) => {
+      const series = items.filter((item) => Number.isFinite(item.read[`${field}${side}`]));
+      series.slice(1).forEach((item, index) => {
+        const previous = series[index];
+        const limit = (tol * Math.max(0, item.x - previous.x)) / windowFt;
+        list.push(() => projectSlab(
+          [{ moves: item[movesKey], key: side, weight: 1 }, { moves: previous[movesKey], key: side, weight: -1 }],
+          item.read[`${field}${side}`] + item[movesKey][side] - previous.read[`${field}${side}`] - previous[movesKey][side],
+          -limit,
+          limit
+        ));
+      });
+    });
+  };
+  addRateConstraints(horizontal, "rail", "h", rateTol);
+  addRateConstraints(vertical, "elev", "v", elevRateTol);
+  if (Number.isFinite(referenceSpan)) {
+    const spans = items.filter((item) => Number.isFinite(item.read.span) && (Number.isFinite(item.read.railA) || Number.isFinite(item.read.railB)));
+    spans.slice(1).forEach((item, index) => {
+      const previous = spans[index];
+      const limit = (spanRateTol * Math.max(0, item.x - previous.x)) / windowFt;
+      const movers = (entry, weight) => ["A", "B"].filter((side) => Number.isFinite(entry.read[`rail${side}`])).map((side) => ({ moves: entry.h, key: side, weight }));
+      horizontal.push(() => projectSlab(
+        [...movers(item, 1), ...movers(previous, -1)],
+        item.read.span + item.h.A + item.h.B - previous.read.span - previous.h.A - previous.h.B,
+        -limit,
+        limit
+      ));
+    });
+  }
+  const horizontalSolved = solveMoves(horizontal);
+  const verticalSolved = solveMoves(vertical);
+  const step = jobUnits(job).correctionStep;
+  const smallestShim = stock[stock.length - 1];
+  const rows = items.flatMap((item) => ["A", "B"].map((side) => {
+    const shift = Math.round(item.h[side] / step) * step;
+    const shim = Math.round(item.v[side] / smallestShim) * smallestShim;
+    return {
+      stationId: item.view.id,
+      stationFt: item.x,
+      columnLabel: item.view.columnLabel,
+      side,
+      sideLabel: side === "A" ? job.sideALabel || "Side A" : job.sideBLabel || "Side B",
+      shift: Math.abs(shift) < 0.001 ? 0 : shift,
+      shim: Math.abs(shim) < 0.001 ? 0 : shim,
+      stack: shimStack(shim, stock),
+      notes: item.notes.filter((note) => note.startsWith(`Rail ${side}`))
+    };
+  })).filter((row) => row.shift || row.shim || row.notes.length);
+  const corrected = views.map((view) => {
+    const adjusted = { ...view };
+    rows.filter((row) => row.stationId === view.id).forEach((row) => {
+      if (Number.isFinite(toNum(view[`rail${row.side}`], NaN))) adjusted[`rail${row.side}`] = String(toNum(view[`rail${row.side}`]) + row.shift);
+      if (Number.isFinite(toNum(view[`elev${row.side}`], NaN))) adjusted[`elev${row.side}`] = String(toNum(view[`elev${row.side}`]) + row.shim);
+      if (Number.isFinite(toNum(view.span, NaN))) adjusted.span = String(toNum(adjusted.span) + row.shift);
+    });
+    return adjusted;
+  });
+  const correctedWindows = rateWindowResults(job, corrected);
+  const remaining = corrected
+    .flatMap((view) => stationEval(job, view, correctedWindows).failures)
+    .filter((check) => !check.name.startsWith("Beam Roll") && !check.custom);
+  const totals = stock.map((size) => ({
+    size,
+    add: rows.filter((row) => row.shim > 0).reduce((sum, row) => sum + (row.stack.find((piece) => piece.size === size)?.count || 0), 0),
+    remove: rows.filter((row) => row.shim < 0).reduce((sum, row) => sum + (row.stack.find((piece) => piece.size === size)?.count || 0), 0)
+  })).filter((total) => total.add || total.remove);
+  return { job, rows, remaining, totals, solved: horizontalSolved && verticalSolved };
+}
+
+function describeShift(job, shift) {
+  if (!shift) return "-";
+  return `${shift > 0 ? "Move out" : "Move in"} ${correctionSize(job, shift)}`;
+}
+
+function describeShim(job, row) {
+  if (!row.shim) return "-";
+  const stack = row.stack.map((piece) => `${piece.count} x ${stockSize(job, piece.size)}`).join(" + ");
+  return `${row.shim > 0 ? "Shim up" : "Remove shims"} ${offsetText(job, Math.abs(row.shim))} (${stack})`;
+}
+
+function renderCorrectionPlanRows(plan) {
+  return plan.rows.length
+    ? plan.rows.map((row) => `
+      <tr>
+        <td>${lengthText(plan.job, row.stationFt)}</td>
+        <td>${escapeHtml(row.columnLabel || "")}</td>
+        <td>${escapeHtml(row.sideLabel)}</td>
+        <td>${escapeHtml(describeShift(plan.job, row.shift))}</td>
+        <td>${escapeHtml(describeShim(plan.job, row))}</td>
+        <td>${escapeHtml(row.notes.join(" "))}</td>
+      </tr>`).join("")
+    : `<tr><td colspan="6">No rail moves or shims required from entered measurements.</td></tr>`;
+}
+
+function renderCorrectionPlanSummary(plan) {
+  const totals = plan.totals.map((total) => `${stockSize(plan.job, total.size)}: ${total.add ? `${total.add} to add` : ""}${total.add && total.remove ? ", " : ""}${total.remove ? `${total.remove} to remove` : ""}`).join("; ");
+  const outcome = plan.remaining.length
+    ? `After these moves ${plan.remaining.length} check(s) would still be out of tolerance (${[...new Set(plan.remaining.map((check) => check.name))].join(", ")}); review those stations before work starts.`
+    : "After these moves every rail check is predicted to be within tolerance. Beam roll items still need bearing/shim review.";
+  return `${outcome}${totals ? ` Shim pieces: ${totals}.` : ""}`;
+}
+
+function crewSides(crew) {
+  return crew.side === "A" || crew.side === "B" ? [crew.side] : ["A", "B"];
+}
+
+function crewSideLabel(job, side) {
+  if (side === "A") return `${job.sideALabel || "Line A"} only`;
+  if (side === "B") return `${job.sideBLabel || "Line B"} only`;
+  return "Both rails";
+}
+
+function crewFields(crew) {
+  const sides = crewSides(crew);
+  return MEASUREMENT_FIELDS.filter((field) => field === "span" || sides.includes(field.slice(-1)));
+}
+
+function crewRange(crew) {
+  const from = toNum(crew.fromFt, -Infinity);
+  const to = toNum(crew.toFt, Infinity);
+  return [Math.min(from, to), Math.max(from, to)];
+}
+
+function crewCovers(crew, station) {
+  const [from, to] = crewRange(crew);
+  const ft = toNum(station.stationFt);
+  return ft >= from - 0.001 && ft <= to + 0.001;
+}
+
+function describeCrew(job, crew) {
+  const [from, to] = crewRange(crew);
+  const range = Number.isFinite(from) || Number.isFinite(to)
+    ? `${Number.isFinite(from) ? fmt(from, jobUnits(job).lengthDigits) : "start"} to ${Number.isFinite(to) ? lengthText(job, to) : `end ${jobUnits(job).length}`}`
+    : "all stations";
+  return `${crew.name || "Unnamed crew"} (${range}, ${crewSideLabel(job, crew.side).toLowerCase()})`;
+}
+
+function crewProgress(job, crew) {
+  const stations = job.stations.filter((station) => crewCovers(crew, station));
+  const required = crewSides(crew).flatMap((side) => [`rail${side}`, `elev${side}`]);
+  const done = stations.filter((station) => required.every((field) => stationValue(job, station, field) !== "")).length;
+  return { crew, total: stations.length, done, percent: stations.length ? Math.round((done / stations.length) * 100) : 0 };
+}
+
+function unassignedStationSides(job) {
+  return job.stations.reduce((count, station) => count + ["A", "B"]
+    .filter((side) => !job.crews.some((crew) => crewCovers(crew, station) && crewSides(crew).includes(side))).length, 0);
+}
+
+function crewFilters() {
+  try {
+    return JSON.parse(localStorage.getItem(CREW_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+function saveCrewFilter(job, crewId) {
+  localStorage.setItem(CREW_KEY, JSON.stringify({ ...crewFilters(), [job.id]: crewId }));
+}
+
+function activeCrew(job = activeJob()) {
+  return job?.crews.find((crew) => crew.id === crewFilters()[job.id]) || null;
+}
+
+function visibleStationIndexes(job) {
+  const crew = activeCrew(job);
+  return job.stations.map((station, index) => index).filter((index) => !crew || crewCovers(crew, job.stations[index]));
+}
+
+function stepStation(direction) {
+  const indexes = visibleStationIndexes(activeJob());
+  const next = direction > 0
+    ? indexes.find((index) => index > state.currentStationIndex)
+    : [...indexes].reverse().find((index) => index < state.currentStationIndex);
+  focusStation(next ?? state.currentStationIndex);
+}
+
+function jobCompletion(job, results = evaluateJob(job)) {
+  const views = stationViews(job);
   const required = [
     ["Project setup", job.customer && job.facilityLocation && job.serviceBay],
     ["System data", job.referenceSpanIn && job.runwayLengthFt],
     ["Stations built", job.stations.length > 1],
-    ["Measurements entered", job.stations.some((station) => station.railA || station.railB || station.elevA || station.elevB || station.span)],
-    ["Reviewed stations", job.stations.length && job.stations.every((station) => station.reviewed)],
-    ["Compliance generated", results.checks.length > 0]
+    ["Measurements entered", views.some((station) => station.railA || station.railB || station.elevA || station.elevB || station.span)],
+    ["Reviewed stations", views.length && views.every((station) => station.reviewed)],
+    ["Compliance generated", results.checks.length > 0],
+    ["Flagged readings resolved", !pendingReadingFlags(job).length]
   ];
   const completed = required.filter(([, ok]) => ok).length;
-  const percent = Math.round((completed / required.length) * 100);
+  return { required, percent: Math.round((completed / required.length) * 100), crews: job.crews.map((crew) => crewProgress(job, crew)) };
+}
+
+function renderCompletion() {
+  const job = activeJob();
+  const results = evaluateJob(job);
+  const { required, percent, crews } = jobCompletion(job, results);
+  const unassigned = crews.length ? unassignedStationSides(job) : 0;
   $("#completionPercent").textContent = `${percent}%`;
   $("#miniProgressBar").style.width = `${percent}%`;
   $("#completionList").innerHTML = `<div class="status-list">${required.map(([label, ok]) => `
     <div class="status-item">
       <span>${escapeHtml(label)}</span>
       <span class="status-pill ${ok ? "ok" : "warn"}">${ok ? "Ready" : "Open"}</span>
-    </div>`).join("")}</div>`;
+    </div>`).join("")}</div>${crews.length ? `
+    <div class="status-list crew-progress">
+      ${crews.map(({ crew, done, total, percent: crewPercent }) => `
+        <div class="status-item" title="${escapeHtml(describeCrew(job, crew))}">
+          <span>${escapeHtml(crew.name || "Unnamed crew")} <small>${done}/${total} stations</small></span>
+          <span class="status-pill ${total && done === total ? "ok" : "warn"}">${crewPercent}%</span>
+        </div>`).join("")}
+      ${unassigned ? `<p class="plan-note">${unassigned} station side(s) are not assigned to a crew.</p>` : ""}
+    </div>` : ""}`;
   renderWorkflowState(job, results);
 }
 
@@ -387,11 +2216,14 @@ function renderWorkflowState(job, results) {
   const completion = {
     setup: Boolean(job.customer && job.facilityLocation && job.serviceBay && job.referenceSpanIn && job.runwayLengthFt),
     layout: Boolean(job.stations.length > 1),
-    stations: Boolean(job.stations.length && job.stations.every((station) => station.reviewed)),
+    stations: Boolean(job.stations.length && job.stations.every((station) => stationValue(job, station, "reviewed"))),
     review: Boolean(results.checks.length && results.failures.length === 0),
     report: false
   };
+  const crew = activeCrew(job);
+  const progress = crew ? crewProgress(job, crew) : null;
   $$(".tab").forEach((tab) => tab.classList.toggle("complete", completion[tab.dataset.tab]));
+  $('.tab[data-tab="stations"] small').textContent = progress ? `${crew.name || "My crew"}: ${progress.done}/${progress.total}` : "Field readings";
 }
 
 function renderLayoutTable() {
@@ -407,31 +2239,119 @@ function renderLayoutTable() {
           <option ${station.type === "Control" ? "selected" : ""}>Control</option>
         </select>
       </td>
+      <td>
+        <select data-station-field="marker" data-station-index="${index}">
+          <option value="">None</option>
+          ${Object.entries(stationMarkers).map(([marker, label]) => `<option value="${marker}" ${station.marker === marker ? "selected" : ""}>${label}</option>`).join("")}
+        </select>
+      </td>
       <td><button class="danger" type="button" data-delete-station="${index}">Delete</button></td>
     </tr>
   `).join("");
 }
 
-function renderStationCards() {
+function renderCrewTable() {
   const job = activeJob();
-  const search = $("#stationSearch").value.trim().toLowerCase();
-  const template = $("#stationCardTemplate");
-  const cards = $("#stationCards");
-  cards.innerHTML = "";
-  job.stations.forEach((station, index) => {
-    const haystack = `${station.stationFt} ${station.columnLabel} ${station.type}`.toLowerCase();
-    if (search && !haystack.includes(search)) return;
+  $("#crewTable").innerHTML = job.crews.length
+    ? job.crews.map((crew, index) => `
+      <tr>
+        <td><input data-crew-field="name" data-crew-index="${index}" value="${escapeHtml(crew.name)}" placeholder="Crew or surveyor" /></td>
+        <td><input data-crew-field="fromFt" data-crew-index="${index}" value="${escapeHtml(crew.fromFt)}" inputmode="decimal" placeholder="Start" /></td>
+        <td><input data-crew-field="toFt" data-crew-index="${index}" value="${escapeHtml(crew.toFt)}" inputmode="decimal" placeholder="End" /></td>
+        <td>
+          <select data-crew-field="side" data-crew-index="${index}">
+            ${["both", "A", "B"].map((side) => `<option value="${side}" ${(crew.side || "both") === side ? "selected" : ""}>${escapeHtml(crewSideLabel(job, side))}</option>`).join("")}
+          </select>
+        </td>
+        <td><button class="danger" type="button" data-delete-crew="${index}">Delete</button></td>
+      </tr>`).join("")
+    : `<tr><td colspan="5">No crews assigned. Every tablet sees all stations.</td></tr>`;
+}
+
+function renderCustomFieldTable() {
+  const job = activeJob();
+  $("#customFieldTable").innerHTML = job.customFields.length
+    ? job.customFields.map((custom, index) => {
+      const number = custom.type === "number";
+      return `
+      <tr>
+        <td><input data-custom-field="name" data-custom-index="${index}" value="${escapeHtml(custom.name)}" placeholder="Rail head width" /></td>
+        <td>
+          <select data-custom-field="type" data-custom-index="${index}">
+            ${Object.entries(customFieldTypes).map(([type, label]) => `<option value="${type}" ${custom.type === type ? "selected" : ""}>${label}</option>`).join("")}
+          </select>
+        </td>
+        <td><input data-custom-field="unit" data-custom-index="${index}" value="${escapeHtml(custom.unit)}" placeholder="${number ? escapeHtml(jobUnits(job).offset) : ""}" /></td>
+        <td><input data-custom-field="options" data-custom-index="${index}" value="${escapeHtml(custom.options)}" placeholder="Good, Loose, Missing" ${custom.type === "choice" ? "" : "disabled"} /></td>
+        <td><input data-custom-field="nominal" data-custom-index="${index}" value="${escapeHtml(custom.nominal)}" inputmode="decimal" placeholder="0" ${number ? "" : "disabled"} /></td>
+        <td><input data-custom-field="tolerance" data-custom-index="${index}" value="${escapeHtml(custom.tolerance)}" inputmode="decimal" placeholder="No check" ${number ? "" : "disabled"} /></td>
+        <td><button class="danger" type="button" data-delete-custom-field="${index}">Delete</button></td>
+      </tr>`;
+    }).join("")
+    : `<tr><td colspan="7">No custom fields. Stations record the standard runway readings only.</td></tr>`;
+}
+
+function customFieldInput(custom, value) {
+  const choices = customChoices(custom);
+  const control = custom.type === "choice"
+    ? `<select data-field="${escapeHtml(custom.id)}">
+        <option value=""></option>
+        ${[...choices, ...(value && !choices.includes(value) ? [value] : [])].map((choice) => `<option ${choice === value ? "selected" : ""}>${escapeHtml(choice)}</option>`).join("")}
+      </select>`
+    : `<input data-field="${escapeHtml(custom.id)}" value="${escapeHtml(value)}" ${custom.type === "number" ? 'inputmode="decimal"' : ""} />`;
+  return `<label class="field"><span>${escapeHtml(customFieldLabel(custom))}</span>${control}</label>`;
+}
+
+function renderCrewFilter() {
+  const job = activeJob();
+  const crew = activeCrew(job);
+  $("#crewFilter").innerHTML = `<option value="">All stations</option>${job.crews.map((item) => `<option value="${escapeHtml(item.id)}">${escapeHtml(describeCrew(job, item))}</option>`).join("")}`;
+  $("#crewFilter").value = crew?.id || "";
+  $("#crewFilterField").hidden = !job.crews.length;
+  $("#exportCrewButton").hidden = !crew;
+}
+
+function renderStationCards() {
+  const job = activeJob();
+  const search = $("#stationSearch").value.trim().toLowerCase();
+  const template = $("#stationCardTemplate");
+  const cards = $("#stationCards");
+  cards.innerHTML = "";
+  const views = stationViews(job);
+  const adjustedViews = alignedViews(job, views);
+  const rateWindows = rateWindowResults(job, adjustedViews);
+  const showAdjusted = (job.alignmentMethod || "none") !== "none";
+  const crew = activeCrew(job);
+  const fields = crew ? crewFields(crew) : MEASUREMENT_FIELDS;
+  views.forEach((station, index) => {
+    const haystack = `${station.stationFt} ${station.columnLabel} ${station.type}`.toLowerCase();
+    if (search && !haystack.includes(search)) return;
+    if (crew && !crewCovers(crew, station)) return;
     const node = template.content.firstElementChild.cloneNode(true);
     node.dataset.stationIndex = index;
     if (index === state.currentStationIndex) node.classList.add("focused");
-    $(".station-type", node).textContent = station.type || "Station";
-    $(".station-title", node).textContent = `${fmt(station.stationFt, 1)} ft${station.columnLabel ? ` - ${station.columnLabel}` : ""}`;
+    $(".station-type", node).textContent = `${station.type || "Station"}${stationMarkers[station.marker] ? ` - ${stationMarkers[station.marker]}` : ""}`;
+    $(".station-title", node).textContent = stationLabel(station);
     $(".reviewed-input", node).checked = Boolean(station.reviewed);
     ["railA", "railB", "beamA", "beamB", "elevA", "elevB", "span", "rollA", "rollB", "notes"].forEach((field) => {
-      $(`.${field}`, node).value = station[field] ?? "";
+      $(`.${field}`, node).value = readingEntry(job, job.stations[index], field) ?? "";
       $(`.${field}`, node).dataset.field = field;
     });
-    const result = stationEval(job, station, job.stations[index - 1]);
+    MEASUREMENT_FIELDS.forEach((field) => {
+      $(`.${field}`, node).closest(".field").hidden = !fields.includes(field);
+    });
+    $(".custom-inputs", node).hidden = !job.customFields.length;
+    $(".custom-inputs", node).innerHTML = job.customFields.map((custom) => customFieldInput(custom, station[custom.id] ?? "")).join("");
+    const assigned = job.crews.filter((item) => crewCovers(item, station));
+    $(".station-crew", node).hidden = !assigned.length;
+    $(".station-crew", node).textContent = assigned.map((item) => `${item.name || "Unnamed crew"}${item.side === "A" || item.side === "B" ? ` (${item.side === "A" ? job.sideALabel || "Line A" : job.sideBLabel || "Line B"})` : ""}`).join(", ");
+    renderAdjustedValues(node, showAdjusted ? adjustedViews[index] : null);
+    renderAttachmentStrip($(".attachment-strip", node), job.stations[index]);
+    renderCaptureTags(node, job, job.stations[index]);
+    renderReadingFlags(node, job, job.stations[index]);
+    renderShotSummaries(node, job, job.stations[index]);
+    if (state.instrument && index === state.currentStationIndex) $(`.${captureField(job, job.stations[index])}`, node)?.closest(".field").classList.add("capture-target");
+    const result = stationEval(job, adjustedViews[index], rateWindows);
     $(".station-results", node).innerHTML = result.checks.length
       ? result.checks.slice(0, 8).map((check) => `<span class="result-pill ${check.status}">${escapeHtml(check.name)}: ${check.status.toUpperCase()}</span>`).join("")
       : `<span class="result-pill pass">No measurements yet</span>`;
@@ -439,98 +2359,581 @@ function renderStationCards() {
   });
 }
 
-function renderReview() {
+function renderAdjustedValues(card, adjusted) {
+  $$("[data-adjusted-for]", card).forEach((label) => {
+    const value = adjusted ? toNum(adjusted[label.dataset.adjustedFor], NaN) : NaN;
+    label.hidden = !Number.isFinite(value);
+    label.textContent = Number.isFinite(value) ? `Best-fit adjusted: ${fmt(value)}` : "";
+  });
+}
+
+function renderAttachmentStrip(container, station) {
+  const attachments = station.attachments || [];
+  container.hidden = !attachments.length;
+  container.innerHTML = attachments.map((meta) => {
+    const record = state.attachments.get(meta.id);
+    const label = meta.caption || attachmentKinds[meta.kind] || "Attachment";
+    return `<button class="attachment-thumb" type="button" data-attachment-id="${escapeHtml(meta.id)}" title="${escapeHtml(label)}">
+      ${record ? `<img src="${record.thumbUrl}" alt="${escapeHtml(label)}" />` : `<span>${escapeHtml(attachmentKinds[meta.kind] || "Attachment")}</span>`}
+    </button>`;
+  }).join("");
+}
+
+function stationLabel(station, job = activeJob()) {
+  return `${lengthText(job, station.stationFt)}${station.columnLabel ? ` - ${station.columnLabel}` : ""}`;
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("The image could not be read."));
+    image.src = src;
+  });
+}
+
+function scaledJpeg(source, maxSize, quality) {
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+  const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(sourceWidth * scale));
+  canvas.height = Math.max(1, Math.round(sourceHeight * scale));
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#fff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return { dataUrl: canvas.toDataURL("image/jpeg", quality), width: canvas.width, height: canvas.height };
+}
+
+function imageAttachment(source) {
+  const full = scaledJpeg(source, PHOTO_MAX_PX, 0.85);
+  return { dataUrl: full.dataUrl, thumbUrl: scaledJpeg(source, THUMB_MAX_PX, 0.75).dataUrl, width: full.width, height: full.height };
+}
+
+async function addAttachment(index, kind, image) {
+  const job = activeJob();
+  const station = job?.stations[index];
+  if (!station) return;
+  if (!state.db) {
+    alert("Photos and sketches need the device database, which is unavailable in this browser.");
+    return;
+  }
+  const record = { id: uid(), jobId: job.id, stationId: station.id, kind, createdAt: new Date().toISOString(), ...image };
+  try {
+    await putAttachmentRecords([record]);
+  } catch (error) {
+    state.saveError = error?.name === "QuotaExceededError"
+      ? "Device storage is full. The attachment was NOT saved. Export job backups and delete old jobs to free space."
+      : `The attachment could not be saved on this device (${error?.message || error}).`;
+    renderSaveState("error");
+    return;
+  }
+  state.attachments.set(record.id, record);
+  station.attachments = [...(station.attachments || []), { id: record.id, kind, caption: "", createdAt: record.createdAt }];
+  touchStation(station);
+  logHistory(job, { action: "attach", station, summary: `Added ${kind} at ${stationLabel(station)}` });
+  touchJob(job);
+  renderStationCards();
+  renderReport();
+  renderHistory();
+}
+
+async function addPhotoFile(index, file) {
+  const url = URL.createObjectURL(file);
+  try {
+    await addAttachment(index, "photo", imageAttachment(await loadImage(url)));
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function removeAttachment(stationId, id) {
+  const job = activeJob();
+  const station = job.stations.find((item) => item.id === stationId);
+  const meta = station?.attachments?.find((item) => item.id === id);
+  if (!meta) return;
+  station.attachments = station.attachments.filter((item) => item !== meta);
+  touchStation(station);
+  state.attachments.delete(id);
+  deleteAttachmentRecords([id]);
+  logHistory(job, { action: "detach", station, summary: `Removed ${meta.kind}${meta.caption ? ` "${meta.caption}"` : ""} at ${stationLabel(station)}` });
+  touchJob(job);
+  renderStationCards();
+  renderReport();
+  renderHistory();
+}
+
+function showDialog(dialog) {
+  if (dialog.showModal) dialog.showModal();
+  else dialog.setAttribute("open", "");
+}
+
+function closeDialog(dialog) {
+  if (dialog.close) dialog.close();
+  else dialog.removeAttribute("open");
+}
+
+function openAttachment(index, id) {
+  const station = activeJob().stations[index];
+  const meta = station?.attachments?.find((item) => item.id === id);
+  if (!meta) return;
+  state.viewingAttachment = { stationId: station.id, id };
+  $("#attachmentTitle").textContent = `${attachmentKinds[meta.kind] || "Attachment"} - ${stationLabel(station)}`;
+  $("#attachmentPreview").src = state.attachments.get(id)?.dataUrl || "";
+  $("#attachmentPreview").hidden = !state.attachments.has(id);
+  $("#attachmentMissing").hidden = state.attachments.has(id);
+  $("#attachmentCaption").value = meta.caption || "";
+  showDialog($("#attachmentDialog"));
+}
+
+function viewedAttachment() {
+  const { stationId, id } = state.viewingAttachment || {};
+  const station = activeJob().stations.find((item) => item.id === stationId);
+  return { station, meta: station?.attachments?.find((item) => item.id === id) };
+}
+
+function openSketch(index) {
+  const station = activeJob().stations[index];
+  if (!station) return;
+  const canvas = $("#sketchCanvas");
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#fff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  state.sketch = { index, drawing: false, strokes: 0 };
+  $("#sketchTitle").textContent = `Sketch - ${stationLabel(station)}`;
+  showDialog($("#sketchDialog"));
+}
+
+function sketchPoint(event) {
+  const canvas = $("#sketchCanvas");
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: ((event.clientX - rect.left) * canvas.width) / Math.max(1, rect.width),
+    y: ((event.clientY - rect.top) * canvas.height) / Math.max(1, rect.height)
+  };
+}
+
+function evaluateSurvey(job = activeJob()) {
+  return { results: evaluateJob(job), plan: planCorrections(job) };
+}
+
+function renderEvaluation() {
+  const evaluation = evaluateSurvey();
+  renderReview(evaluation);
+  renderReport(evaluation);
+}
+
+function renderReview({ results, plan } = evaluateSurvey()) {
   const job = activeJob();
-  const results = evaluateJob(job);
   const stationCount = job.stations.length;
-  const reviewed = job.stations.filter((station) => station.reviewed).length;
+  const reviewed = stationViews(job).filter((station) => station.reviewed).length;
   const maxDeviation = results.failures.reduce((max, check) => Math.max(max, Math.abs(check.measured)), 0);
   $("#summaryMetrics").innerHTML = [
     ["Stations", stationCount],
     ["Reviewed", `${reviewed}/${stationCount}`],
     ["Failed Checks", results.failures.length],
-    ["Max Failed Deviation", `${fmt(maxDeviation)} in/deg`]
+    ["Max Failed Deviation", `${fmt(maxDeviation)} ${jobUnits(job).offset}/deg`]
   ].map(([label, value]) => `<div class="metric"><span>${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>`).join("");
 
   $("#failureTable").innerHTML = results.failures.length
     ? results.failures.map((check) => `
       <tr>
         <td>${escapeHtml(check.name)}<br><small>${escapeHtml(check.reference)}</small></td>
-        <td>${fmt(check.stationFt, 1)} ft</td>
+        <td>${lengthText(job, check.stationFt)}</td>
         <td>${fmt(check.measured)}</td>
         <td>±${fmt(check.allowed)}</td>
         <td>${escapeHtml(check.correction)}</td>
       </tr>`).join("")
     : `<tr><td colspan="5">No out-of-tolerance items found from entered measurements.</td></tr>`;
 
-  $("#charts").innerHTML = [
-    chartPanel("Rail Straightness", lineChart(job, "railA", "railB", toNum(job.straightnessTolIn, 0.25), "in")),
-    chartPanel("Elevation", lineChart(job, "elevA", "elevB", toNum(job.elevationTolIn, 0.25), "in")),
-    chartPanel("Span Deviation", spanChart(job))
-  ].join("");
+  $("#rateWindowTable").innerHTML = renderWorstRateWindows(job, results);
+  $("#alignmentSummary").textContent = `Alignment reference: ${describeAlignment(job)}.`;
+
+  $("#correctionPlanTable").innerHTML = renderCorrectionPlanRows(plan);
+  $("#correctionPlanSummary").textContent = renderCorrectionPlanSummary(plan);
+
+  renderCharts();
+  $("#planView").innerHTML = planViewSvg(job);
+  renderTrend();
+}
+
+function renderCharts() {
+  const range = state.chartRange;
+  $("#charts").innerHTML = reviewCharts(activeJob(), range).map(([title, svg]) => chartPanel(title, svg)).join("");
+  $("#resetChartZoomButton").disabled = !range;
+  $("#chartRangeLabel").textContent = range ? `Showing ${fmt(range.minX, jobUnits().lengthDigits)} - ${lengthText(activeJob(), range.maxX)}` : "Showing the full runway";
+}
+
+function chartFrame(svg) {
+  const rect = svg.getBoundingClientRect();
+  const data = Object.fromEntries(["minX", "maxX", "fullMinX", "fullMaxX", "plotLeft", "plotWidth"].map((key) => [key, Number(svg.dataset[key])]));
+  return { ...data, left: rect.left + rect.width * data.plotLeft, width: Math.max(1, rect.width * data.plotWidth) };
+}
+
+function chartX(frame, clientX) {
+  return frame.minX + ((clientX - frame.left) / frame.width) * (frame.maxX - frame.minX);
+}
+
+function setChartRange(frame, minX, span) {
+  const full = frame.fullMaxX - frame.fullMinX;
+  const width = Math.min(full, Math.max(CHART_MIN_SPAN_FT * jobUnits().perFoot, span));
+  const start = Math.min(Math.max(minX, frame.fullMinX), frame.fullMaxX - width);
+  const range = width >= full - 0.001 ? null : { minX: start, maxX: start + width };
+  if (JSON.stringify(range) === JSON.stringify(state.chartRange)) return;
+  state.chartRange = range;
+  renderCharts();
+}
+
+function zoomCharts(frame, centerX, factor) {
+  const span = (frame.maxX - frame.minX) * factor;
+  const ratio = (centerX - frame.minX) / Math.max(0.001, frame.maxX - frame.minX);
+  setChartRange(frame, centerX - ratio * span, span);
+}
+
+function chartGestureMove(event) {
+  const gesture = state.chartGesture;
+  if (!gesture?.pointers.has(event.pointerId)) return;
+  gesture.pointers.set(event.pointerId, event.clientX);
+  const { frame } = gesture;
+  const span = frame.maxX - frame.minX;
+  const positions = [...gesture.pointers.values()];
+  if (positions.length === 1) {
+    const dx = positions[0] - gesture.startX;
+    if (Math.abs(dx) > 4) gesture.moved = true;
+    if (!gesture.moved) return;
+    captureChartPointer(event.pointerId);
+    setChartRange(frame, frame.minX - (dx / frame.width) * span, span);
+    return;
+  }
+  captureChartPointer(event.pointerId);
+  const distance = Math.abs(positions[0] - positions[1]);
+  if (!gesture.startDistance) {
+    gesture.startDistance = Math.max(1, distance);
+    gesture.center = chartX(frame, (positions[0] + positions[1]) / 2);
+    return;
+  }
+  gesture.moved = true;
+  zoomCharts(frame, gesture.center, gesture.startDistance / Math.max(1, distance));
+}
+
+function captureChartPointer(pointerId) {
+  const charts = $("#charts");
+  if (!charts.hasPointerCapture?.(pointerId)) charts.setPointerCapture?.(pointerId);
+}
+
+function showChartTooltip(point) {
+  const frame = point.closest(".chart-frame");
+  const tooltip = $(".chart-tooltip", frame);
+  const box = frame.getBoundingClientRect();
+  const rect = point.getBoundingClientRect();
+  tooltip.textContent = point.dataset.tip;
+  tooltip.hidden = false;
+  tooltip.style.left = `${Math.min(rect.left - box.left + rect.width / 2, box.width - 12)}px`;
+  tooltip.style.top = `${rect.top - box.top}px`;
+}
+
+function reviewCharts(job, range = null) {
+  const units = jobUnits(job);
+  const options = (id) => ({ id, range, minY: 0.25 * units.perInch, stationTick: (x) => (units.length === "ft" ? `${x.toFixed(0)}'` : `${fmt(x, 1)} m`) });
+  return [
+    ["Rail Straightness", lineChart(job, "railA", "railB", jobTolerance(job, "straightnessTolIn"), units.offset, options("straightness"))],
+    ["Elevation", lineChart(job, "elevA", "elevB", jobTolerance(job, "elevationTolIn"), units.offset, options("elevation"))],
+    ["Span Deviation", spanChart(job, options("span"))],
+    ["Beam Roll", lineChart(job, "rollA", "rollB", toNum(job.beamRollTolDeg, 1.1), "deg", { ...options("roll"), minY: 0.25, overlays: false })],
+    ["Eccentricity (Rail vs Beam)", eccentricityChart(job, options("eccentricity"))]
+  ];
+}
+
+function worstRateWindows(results) {
+  return rateSeries.map((series) => results.checks
+    .filter((check) => check.name === series.name)
+    .reduce((worst, check) => (!worst || Math.abs(check.measured) > Math.abs(worst.measured) ? check : worst), null))
+    .filter(Boolean);
+}
+
+function renderWorstRateWindows(job, results) {
+  const worst = worstRateWindows(results);
+  return worst.length
+    ? worst.map((check) => `
+      <tr>
+        <td>${escapeHtml(check.name)}</td>
+        <td>${fmt(check.windowStart, jobUnits(job).lengthDigits)} - ${lengthText(job, check.windowEnd)}</td>
+        <td>${fmt(check.measured)}</td>
+        <td>±${fmt(check.allowed)}</td>
+        <td><span class="result-pill ${check.status}">${check.status.toUpperCase()}</span></td>
+      </tr>`).join("")
+    : `<tr><td colspan="5">Enter readings at two or more stations to evaluate rate of change.</td></tr>`;
 }
 
 function chartPanel(title, svg) {
-  return `<section class="chart-panel"><h3>${escapeHtml(title)}</h3>${svg}</section>`;
+  return `<section class="chart-panel"><h3>${escapeHtml(title)}</h3><div class="chart-frame">${svg}<div class="chart-tooltip" role="status" hidden></div></div></section>`;
 }
 
-function lineChart(job, fieldA, fieldB, tol, unit) {
-  const points = job.stations.map((station) => ({
+function chartPoints(job, views, value) {
+  return views.map((station, index) => ({
     x: toNum(station.stationFt, 0),
+    index,
+    station: stationLabel(station, job),
+    ...value(station)
+  }));
+}
+
+function trendOverlays(job) {
+  return runwaySurveys(job).filter((other) => other !== job).reverse().slice(0, TREND_OVERLAY_LIMIT).map((other) => inJobUnits(job, other));
+}
+
+function lineChart(job, fieldA, fieldB, tol, unit, options = {}) {
+  const linePoints = (survey, setId) => chartPoints(job, evaluationViews(survey, setId), (station) => ({
     a: toNum(station[fieldA], NaN),
     b: toNum(station[fieldB], NaN)
   }));
-  return makeSvg(points, [
+  const overlays = options.overlays === false ? [] : trendOverlays(job).flatMap((survey, index) => {
+    const points = linePoints(survey, trendSetId(survey));
+    return [
+      { key: "a", points, label: `${job.sideALabel || "Line A"} ${survey.surveyDate || "earlier"}`, color: trendColors[index], dash: "6 4" },
+      { key: "b", points, label: `${job.sideBLabel || "Line B"} ${survey.surveyDate || "earlier"}`, color: trendColors[index], dash: "2 4" }
+    ];
+  });
+  return makeSvg(linePoints(job), [
     { key: "a", label: job.sideALabel || "Line A", color: "#17624f" },
-    { key: "b", label: job.sideBLabel || "Line B", color: "#b3261e" }
-  ], tol, unit);
+    { key: "b", label: job.sideBLabel || "Line B", color: "#b3261e" },
+    ...overlays
+  ], tol, unit, options);
 }
 
-function spanChart(job) {
-  const reference = toNum(job.referenceSpanIn, NaN);
-  const points = job.stations.map((station) => ({
-    x: toNum(station.stationFt, 0),
-    a: Number.isFinite(reference) ? toNum(station.span, NaN) - reference : NaN
+function spanChart(job, options = {}) {
+  const spanPoints = (survey, setId) => {
+    const reference = toNum(survey.referenceSpanIn, NaN);
+    return chartPoints(job, stationViews(survey, setId), (station) => ({
+      a: Number.isFinite(reference) ? toNum(station.span, NaN) - reference : NaN
+    }));
+  };
+  const overlays = trendOverlays(job).map((survey, index) => ({ key: "a", points: spanPoints(survey, trendSetId(survey)), label: `Span ${survey.surveyDate || "earlier"}`, color: trendColors[index], dash: "6 4" }));
+  return makeSvg(spanPoints(job), [{ key: "a", label: "Span deviation", color: "#17624f" }, ...overlays], jobTolerance(job, "spanTolIn"), jobUnits(job).offset, options);
+}
+
+function eccentricityChart(job, options = {}) {
+  const points = chartPoints(job, evaluationViews(job), (station) => ({
+    a: toNum(station.railA, NaN) - toNum(station.beamA, NaN),
+    b: toNum(station.railB, NaN) - toNum(station.beamB, NaN)
   }));
-  return makeSvg(points, [{ key: "a", label: "Span deviation", color: "#17624f" }], toNum(job.spanTolIn, 0.25), "in");
+  return makeSvg(points, [
+    { key: "a", label: `${job.sideALabel || "Line A"} rail vs beam`, color: "#17624f" },
+    { key: "b", label: `${job.sideBLabel || "Line B"} rail vs beam`, color: "#b3261e" }
+  ], (stationFt) => Math.abs(eccentricityTolAt(job, stationFt)), jobUnits(job).offset, options);
 }
 
-function makeSvg(points, series, tol, unit) {
-  const valid = points.filter((point) => series.some((item) => Number.isFinite(point[item.key])));
+function makeSvg(points, series, tol, unit, options = {}) {
+  const seriesPoints = (item) => (item.points || points).filter((point) => Number.isFinite(point[item.key]));
+  const valid = points.filter((point) => series.some((item) => !item.points && Number.isFinite(point[item.key])));
   if (valid.length < 2) return `<p>No chart data yet.</p>`;
+  const plotted = series.flatMap((item) => seriesPoints(item).map((point) => ({ x: point.x, y: point[item.key] })));
   const width = 920;
   const height = 310;
   const margin = { left: 54, right: 24, top: 18, bottom: 42 };
   const plotW = width - margin.left - margin.right;
   const plotH = height - margin.top - margin.bottom;
-  const minX = Math.min(...valid.map((point) => point.x));
-  const maxX = Math.max(...valid.map((point) => point.x));
-  const allY = valid.flatMap((point) => series.map((item) => point[item.key]).filter(Number.isFinite));
-  const maxAbsY = Math.max(Math.abs(tol), ...allY.map(Math.abs), 0.25);
+  const id = options.id || "chart";
+  const tolAt = typeof tol === "function" ? tol : () => tol;
+  const fullMinX = Math.min(...plotted.map((point) => point.x));
+  const fullMaxX = Math.max(...plotted.map((point) => point.x));
+  const zoomed = options.range && Math.min(fullMaxX, options.range.maxX) > Math.max(fullMinX, options.range.minX);
+  const minX = zoomed ? Math.max(fullMinX, options.range.minX) : fullMinX;
+  const maxX = zoomed ? Math.min(fullMaxX, options.range.maxX) : fullMaxX;
+  const samples = Array.from({ length: 121 }, (_, index) => minX + ((maxX - minX) * index) / 120);
+  const maxTol = Math.max(...samples.map((value) => Math.abs(tolAt(value))));
+  const maxAbsY = Math.max(maxTol, ...plotted.map((point) => Math.abs(point.y)), options.minY ?? 0.25);
   const yMax = Math.ceil((maxAbsY * 1.18) / 0.1) * 0.1;
   const x = (value) => margin.left + ((value - minX) / Math.max(1, maxX - minX)) * plotW;
   const y = (value) => margin.top + (1 - (value + yMax) / (2 * yMax)) * plotH;
-  const path = (key) => valid
-    .filter((point) => Number.isFinite(point[key]))
-    .map((point, index) => `${index ? "L" : "M"} ${x(point.x).toFixed(1)} ${y(point[key]).toFixed(1)}`)
+  const path = (item) => seriesPoints(item)
+    .map((point, index) => `${index ? "L" : "M"} ${x(point.x).toFixed(1)} ${y(point[item.key]).toFixed(1)}`)
     .join(" ");
-  const grid = [-tol, 0, tol].map((value) => `<line x1="${margin.left}" y1="${y(value)}" x2="${width - margin.right}" y2="${y(value)}" stroke="${value ? "#d99a91" : "#aab8b3"}" stroke-dasharray="${value ? "5 5" : ""}"/><text x="8" y="${y(value) + 4}" font-size="12">${value.toFixed(2)} ${unit}</text>`).join("");
-  const stationTicks = valid.filter((_, index) => index === 0 || index === valid.length - 1 || index % Math.ceil(valid.length / 8) === 0)
-    .map((point) => `<line x1="${x(point.x)}" y1="${margin.top}" x2="${x(point.x)}" y2="${height - margin.bottom}" stroke="#edf1ef"/><text x="${x(point.x)}" y="${height - 14}" text-anchor="middle" font-size="12">${point.x.toFixed(0)}'</text>`)
-    .join("");
-  const lines = series.map((item) => `<path d="${path(item.key)}" fill="none" stroke="${item.color}" stroke-width="3"/><text x="${width - margin.right - 150}" y="${margin.top + 18 + series.indexOf(item) * 18}" fill="${item.color}" font-size="13">${escapeHtml(item.label)}</text>`).join("");
-  return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Survey chart">
+  const edge = (sign) => samples.map((value, index) => `${index ? "L" : "M"} ${x(value).toFixed(1)} ${y(sign * Math.abs(tolAt(value))).toFixed(1)}`).join(" ");
+  const band = `<path d="${edge(1)} ${[...samples].reverse().map((value) => `L ${x(value).toFixed(1)} ${y(-Math.abs(tolAt(value))).toFixed(1)}`).join(" ")} Z" fill="#e5f3ed"/>
+    <path d="${edge(1)}" fill="none" stroke="#d99a91" stroke-dasharray="5 5"/><path d="${edge(-1)}" fill="none" stroke="#d99a91" stroke-dasharray="5 5"/>`;
+  const labels = (typeof tol === "function" ? [-yMax, 0, yMax] : [-tol, 0, tol])
+    .map((value) => `${value ? "" : `<line x1="${margin.left}" y1="${y(0)}" x2="${width - margin.right}" y2="${y(0)}" stroke="#aab8b3"/>`}<text x="8" y="${y(value) + 4}" font-size="12">${value.toFixed(2)} ${unit}</text>`).join("");
+  const inRange = valid.filter((point) => point.x >= minX - 0.001 && point.x <= maxX + 0.001);
+  let lastLabel = -Infinity;
+  const stationTicks = inRange.map((point) => {
+    const showLabel = x(point.x) - lastLabel >= 48;
+    if (showLabel) lastLabel = x(point.x);
+    return `<line x1="${x(point.x)}" y1="${margin.top}" x2="${x(point.x)}" y2="${height - margin.bottom}" stroke="#edf1ef"/>${showLabel ? `<text x="${x(point.x)}" y="${height - 14}" text-anchor="middle" font-size="12">${options.stationTick ? options.stationTick(point.x) : `${point.x.toFixed(0)}'`}</text>` : ""}`;
+  }).join("");
+  const lines = series.map((item) => `<path d="${path(item)}" fill="none" stroke="${item.color}" stroke-width="${item.dash ? 2 : 3}"${item.dash ? ` stroke-dasharray="${item.dash}"` : ""}/>`).join("");
+  const legend = series.map((item, index) => `<text x="${width - margin.right - 150}" y="${margin.top + 18 + index * 18}" fill="${item.color}" font-size="13">${escapeHtml(item.label)}</text>`).join("");
+  const markers = series.filter((item) => !item.points).flatMap((item) => inRange.filter((point) => Number.isFinite(point[item.key])).map((point) => {
+    const allowed = Math.abs(tolAt(point.x));
+    const fail = Math.abs(point[item.key]) > allowed;
+    const tip = `${point.station}: ${item.label} ${fmt(point[item.key])} ${unit} (allowed ±${fmt(allowed)}) - ${fail ? "FAIL" : "PASS"}`;
+    return `<circle class="chart-point" cx="${x(point.x).toFixed(1)}" cy="${y(point[item.key]).toFixed(1)}" r="${fail ? 6 : 4.5}" fill="${fail ? "#b42318" : "#1e7659"}" stroke="#fff" stroke-width="1.5" data-station-index="${point.index}" data-tip="${escapeHtml(tip)}"/>`;
+  })).join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Survey chart" font-family="Helvetica, Arial, sans-serif" data-min-x="${minX}" data-max-x="${maxX}" data-full-min-x="${fullMinX}" data-full-max-x="${fullMaxX}" data-plot-left="${margin.left / width}" data-plot-width="${plotW / width}">
+    <defs><clipPath id="clip-${escapeHtml(id)}"><rect x="${margin.left}" y="${margin.top}" width="${plotW}" height="${plotH}"/></clipPath></defs>
     <rect width="${width}" height="${height}" fill="#fff"/>
+    <g clip-path="url(#clip-${escapeHtml(id)})">${band}</g>
     ${stationTicks}
-    ${grid}
-    ${lines}
+    ${labels}
+    <g clip-path="url(#clip-${escapeHtml(id)})">${lines}</g>
+    ${legend}
     <rect x="${margin.left}" y="${margin.top}" width="${plotW}" height="${plotH}" fill="none" stroke="#d8e0dc"/>
+    <g clip-path="url(#clip-${escapeHtml(id)})">${markers}</g>
   </svg>`;
 }
 
-function renderReport() {
-  const job = activeJob();
+function niceStep(value) {
+  if (!(value > 0) || !Number.isFinite(value)) return 1;
+  const power = 10 ** Math.floor(Math.log10(value));
+  const mantissa = value / power;
+  return (mantissa >= 5 ? 5 : mantissa >= 2 ? 2 : 1) * power;
+}
+
+function planView(job) {
   const results = evaluateJob(job);
+  const views = results.stationResults.map((result) => result.station);
+  const start = toNum(job.startStationFt, 0);
+  const xs = [start, start + toNum(job.runwayLengthFt, 0), ...views.map((station) => toNum(station.stationFt))];
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs, minX + 1);
+  const spans = views.map((station) => toNum(station.span, NaN)).filter(Number.isFinite).sort((a, b) => a - b);
+  const reference = toNum(job.referenceSpanIn, NaN);
+  const spanIn = reference > 0 ? reference : spans[Math.floor(spans.length / 2)] || 600 * jobUnits(job).perInch;
+  const stations = results.stationResults.map(({ station, failures }) => {
+    const failed = failures.flatMap((check) => checkFields[check.name] || []);
+    const sided = failed.filter((field) => /[AB]$/.test(field));
+    return {
+      stationFt: toNum(station.stationFt),
+      columnLabel: station.columnLabel || "",
+      marker: station.marker || "",
+      offsetA: toNum(station.railA, NaN),
+      offsetB: toNum(station.railB, NaN),
+      failA: sided.some((field) => field.endsWith("A")) || (failed.length > sided.length),
+      failB: sided.some((field) => field.endsWith("B")) || (failed.length > sided.length)
+    };
+  });
+  const maxOffset = Math.max(0, ...stations.flatMap((station) => [station.offsetA, station.offsetB]).filter(Number.isFinite).map(Math.abs));
+  return {
+    job,
+    minX,
+    maxX,
+    spanIn,
+    spanEntered: reference > 0,
+    maxOffset,
+    stations,
+    failures: stations.filter((station) => station.failA || station.failB).length
+  };
+}
+
+function planViewSvg(job) {
+  const plan = planView(job);
+  const units = jobUnits(job);
+  const width = 920;
+  const margin = { left: 96, right: 96, top: 74, bottom: 140 };
+  const plotW = width - margin.left - margin.right;
+  const scale = plotW / ((plan.maxX - plan.minX) * units.offsetsPerLength);
+  const crossScale = Math.max(scale, 150 / plan.spanIn);
+  const spanPx = plan.spanIn * crossScale;
+  const exaggeration = plan.maxOffset ? niceStep(22 / (plan.maxOffset * crossScale)) : 100;
+  const height = margin.top + spanPx + margin.bottom;
+  const x = (stationFt) => margin.left + (stationFt - plan.minX) * units.offsetsPerLength * scale;
+  const railY = { A: margin.top, B: margin.top + spanPx };
+  const offsetY = (side, offset) => railY[side] + (side === "A" ? -1 : 1) * offset * exaggeration * crossScale;
+  const sides = [["A", job.sideALabel || "Line A", "offsetA", "failA"], ["B", job.sideBLabel || "Line B", "offsetB", "failB"]];
+  const columns = plan.stations.filter((station) => station.columnLabel).map((station) => `
+    <line x1="${x(station.stationFt)}" y1="${railY.A - 34}" x2="${x(station.stationFt)}" y2="${railY.B + 34}" stroke="#9fb0ba" stroke-dasharray="6 4"/>
+    ${[railY.A - 46, railY.B + 46].map((cy) => `<circle cx="${x(station.stationFt)}" cy="${cy}" r="11" fill="#fff" stroke="#2c4a60"/><text x="${x(station.stationFt)}" y="${cy + 4}" text-anchor="middle" font-size="10" font-weight="700">${escapeHtml(station.columnLabel)}</text>`).join("")}`).join("");
+  const joints = plan.stations.filter((station) => stationMarkers[station.marker]).map((station) => `
+    <line x1="${x(station.stationFt)}" y1="${railY.A - 18}" x2="${x(station.stationFt)}" y2="${railY.B + 18}" stroke="#d9822b" stroke-width="2"/>
+    <text x="${x(station.stationFt)}" y="${railY.B + 70}" text-anchor="middle" font-size="10" font-weight="700" fill="#b4641b">${station.marker === "joint" ? "EJ" : "SP"}</text>`).join("");
+  const rails = sides.map(([side, label, key]) => {
+    const points = plan.stations.filter((station) => Number.isFinite(station[key]));
+    const actual = points.map((station, index) => `${index ? "L" : "M"} ${x(station.stationFt).toFixed(1)} ${offsetY(side, station[key]).toFixed(1)}`).join(" ");
+    return `<line x1="${x(plan.minX)}" y1="${railY[side]}" x2="${x(plan.maxX)}" y2="${railY[side]}" stroke="#b8c7d0" stroke-width="2"/>
+      ${points.length > 1 ? `<path d="${actual}" fill="none" stroke="#17624f" stroke-width="3"/>` : ""}
+      <text x="${margin.left + 6}" y="${railY[side] + (side === "A" ? 20 : -12)}" font-size="12" font-weight="700">${escapeHtml(label)}</text>`;
+  }).join("");
+  const markers = plan.stations.flatMap((station) => sides.map(([side, , key, failKey]) => {
+    const offset = Number.isFinite(station[key]) ? station[key] : 0;
+    if (!Number.isFinite(station[key]) && !station[failKey]) return "";
+    const fail = station[failKey];
+    return `<circle cx="${x(station.stationFt).toFixed(1)}" cy="${offsetY(side, offset).toFixed(1)}" r="${fail ? 6 : 3}" fill="${fail ? "#b42318" : "#17624f"}" stroke="#fff" stroke-width="1.5"/>`;
+  })).join("");
+  const labelRows = [-Infinity, -Infinity];
+  const failedLabels = plan.stations.filter((station) => station.failA || station.failB).map((station) => {
+    const row = labelRows.findIndex((last) => x(station.stationFt) - last >= 34);
+    if (row < 0) return "";
+    labelRows[row] = x(station.stationFt);
+    return `<text x="${x(station.stationFt)}" y="${(railY.A + railY.B) / 2 + 4 + row * 14}" text-anchor="middle" font-size="10" font-weight="700" fill="#b42318">${units.length === "ft" ? `${fmt(station.stationFt, 0)}'` : fmt(station.stationFt, 1)}</text>`;
+  }).join("");
+  const arrow = (tipX, direction, text) => {
+    const back = tipX - direction * 22;
+    const midY = (railY.A + railY.B) / 2;
+    return `<path d="M ${back} ${midY - 18} L ${tipX} ${midY - 18} M ${tipX - direction * 7} ${midY - 24} L ${tipX} ${midY - 18} L ${tipX - direction * 7} ${midY - 12}" fill="none" stroke="#2c4a60" stroke-width="2"/><text x="${(tipX + back) / 2}" y="${midY + 2}" text-anchor="middle" font-size="11" font-weight="700">${escapeHtml(text)}</text>`;
+  };
+  const lengthBar = niceStep((plotW / 5) / (units.offsetsPerLength * scale));
+  const offsetBar = niceStep(24 / (exaggeration * crossScale));
+  const legendY = railY.B + 90;
+  const crossNote = crossScale > scale * 1.01 ? `; span drawn ${fmt(crossScale / scale, 1)}x the length scale` : "";
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height.toFixed(0)}" role="img" aria-label="Runway plan view" font-family="Helvetica, Arial, sans-serif">
+    <rect width="${width}" height="${height.toFixed(0)}" fill="#fff"/>
+    ${columns}
+    ${joints}
+    ${rails}
+    ${markers}
+    ${failedLabels}
+    ${arrow(margin.left - 34, -1, job.startDirection || "START")}
+    ${arrow(width - margin.right + 34, 1, job.endDirection || "END")}
+    <line x1="${margin.left}" y1="${legendY}" x2="${margin.left + lengthBar * units.offsetsPerLength * scale}" y2="${legendY}" stroke="#182733" stroke-width="3"/>
+    <text x="${margin.left}" y="${legendY + 16}" font-size="11">${lengthText(job, lengthBar, lengthBar < 1 ? 1 : 0)}</text>
+    <line x1="${margin.left + plotW / 3}" y1="${legendY - offsetBar * exaggeration * crossScale}" x2="${margin.left + plotW / 3}" y2="${legendY}" stroke="#17624f" stroke-width="3"/>
+    <text x="${margin.left + plotW / 3 + 8}" y="${legendY}" font-size="11">${offsetText(job, offsetBar)} rail offset (offsets exaggerated ${exaggeration}x)</text>
+    <text x="${margin.left}" y="${legendY + 34}" font-size="11" fill="#657681">Span ${offsetText(job, plan.spanIn)}${plan.spanEntered ? "" : " (reference span not entered)"}, ${lengthText(job, plan.maxX - plan.minX)} runway${crossNote}</text>
+    <text x="${width - margin.right}" y="${legendY + 16}" text-anchor="end" font-size="11" fill="${plan.failures ? "#b42318" : "#1e7659"}">${plan.failures ? `${plan.failures} station(s) out of tolerance` : "No stations out of tolerance"}</text>
+  </svg>`;
+}
+
+function planViewDxf(job) {
+  const plan = planView(job);
+  const units = jobUnits(job);
+  const exaggeration = plan.maxOffset ? niceStep((plan.spanIn * 0.08) / plan.maxOffset) : 100;
+  const x = (stationFt) => (stationFt - plan.minX) * units.offsetsPerLength;
+  const railY = { A: plan.spanIn, B: 0 };
+  const offsetY = (side, offset) => railY[side] + (side === "A" ? 1 : -1) * offset * exaggeration;
+  const text = plan.spanIn / 40;
+  const entities = [];
+  const line = (layer, x1, y1, x2, y2) => entities.push(["0", "LINE", "8", layer, "10", x1, "20", y1, "30", 0, "11", x2, "21", y2, "31", 0]);
+  const label = (layer, x1, y1, value, height = text) => entities.push(["0", "TEXT", "8", layer, "10", x1, "20", y1, "30", 0, "40", height, "1", String(value).replace(/[\r\n]+/g, " ")]);
+  const circle = (layer, cx, cy, radius) => entities.push(["0", "CIRCLE", "8", layer, "10", cx, "20", cy, "30", 0, "40", radius]);
+  [["A", job.sideALabel || "Line A", "offsetA", "failA"], ["B", job.sideBLabel || "Line B", "offsetB", "failB"]].forEach(([side, name, key, failKey]) => {
+    line("RAIL-NOMINAL", x(plan.minX), railY[side], x(plan.maxX), railY[side]);
+    label("TEXT", x(plan.minX) - text * 12, railY[side], name);
+    const points = plan.stations.filter((station) => Number.isFinite(station[key]));
+    points.slice(1).forEach((station, index) => line(`RAIL-${side}`, x(points[index].stationFt), offsetY(side, points[index][key]), x(station.stationFt), offsetY(side, station[key])));
+    plan.stations.filter((station) => station[failKey]).forEach((station) => circle("FAILED", x(station.stationFt), offsetY(side, Number.isFinite(station[key]) ? station[key] : 0), text));
+  });
+  plan.stations.filter((station) => station.columnLabel).forEach((station) => {
+    line("COLUMNS", x(station.stationFt), railY.B - text * 3, x(station.stationFt), railY.A + text * 3);
+    label("COLUMNS", x(station.stationFt), railY.A + text * 4, station.columnLabel);
+    label("COLUMNS", x(station.stationFt), railY.B - text * 5, station.columnLabel);
+  });
+  label("TEXT", x(plan.minX) - text * 12, plan.spanIn / 2, `<- ${job.startDirection || "START"}`);
+  label("TEXT", x(plan.maxX) + text * 2, plan.spanIn / 2, `${job.endDirection || "END"} ->`);
+  label("TEXT", x(plan.minX), railY.B - text * 9, `${jobTitle(job)} - units ${units.offset === "in" ? "inches" : "millimetres"}, stations along X, rail offsets exaggerated ${exaggeration}x on layers RAIL-A and RAIL-B`);
+  const body = entities.flat().map((value) => (typeof value === "number" ? Number(value.toFixed(4)) : value));
+  return ["0", "SECTION", "2", "HEADER", "9", "$ACADVER", "1", "AC1009", "9", "$INSUNITS", "70", units.offset === "in" ? 1 : 4, "0", "ENDSEC", "0", "SECTION", "2", "ENTITIES", ...body, "0", "ENDSEC", "0", "EOF", ""].join("\r\n");
+}
+
+function downloadPlanView(format) {
+  const job = activeJob();
+  const safeName = (jobTitle(job) || "runway").replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase();
+  if (format === "dxf") downloadFile(`${safeName}-plan.dxf`, "application/dxf", planViewDxf(job));
+  else downloadFile(`${safeName}-plan.svg`, "image/svg+xml", planViewSvg(job));
+}
+
+function renderReport({ results, plan } = evaluateSurvey()) {
+  const job = activeJob();
   const grouped = groupFailures(results.failures);
   $("#reportPreview").innerHTML = `
     <header>
@@ -550,8 +2953,11 @@ function renderReport() {
         ${reportField("Runway Manufacturer", job.runwayManufacturer)}
         ${reportField("Rail Size", job.railSize)}
         ${reportField("Device / Method", job.device)}
-        ${reportField("Reference Span", job.referenceSpanIn ? `${fmt(job.referenceSpanIn)} in` : "")}
-        ${reportField("Runway Length", job.runwayLengthFt ? `${fmt(job.runwayLengthFt, 1)} ft` : "")}
+        ${reportField("Reference Span", job.referenceSpanIn ? offsetText(job, job.referenceSpanIn) : "")}
+        ${reportField("Runway Length", job.runwayLengthFt ? lengthText(job, job.runwayLengthFt) : "")}
+        ${reportField("Units", jobUnits(job).label)}
+        ${reportField("Tolerance Standard", presetCitation(job.tolerancePreset) || "Job-specific tolerances")}
+        ${reportField("Alignment Reference", describeAlignment(job))}
       </div>
     </section>
 
@@ -559,15 +2965,51 @@ function renderReport() {
       <h3>Summary</h3>
       <div class="report-grid">
         ${reportField("Stations Captured", job.stations.length)}
-        ${reportField("Reviewed Stations", `${job.stations.filter((station) => station.reviewed).length}/${job.stations.length}`)}
+        ${reportField("Reading Set", readingSet(job).name)}
+        ${reportField("Reviewed Stations", `${stationViews(job).filter((station) => station.reviewed).length}/${job.stations.length}`)}
         ${reportField("Total Checks", results.checks.length)}
         ${reportField("Out-of-Tolerance Checks", results.failures.length)}
+        ${reportField("Flagged Readings", flaggedReadings(job).length)}
+        ${reportField("Repeated Shots", `${job.shotCombine === "median" ? "Median" : "Mean"}; ${repeatabilityWarnings(job).length} reading(s) over the repeatability limit`)}
       </div>
     </section>
 
     <section>
       <h3>Out-of-Tolerance Summary</h3>
-      ${Object.keys(grouped).length ? `<ul>${Object.entries(grouped).map(([name, items]) => `<li><strong>${escapeHtml(name)}:</strong> ${items.length} item(s), max deviation ${fmt(Math.max(...items.map((item) => Math.abs(item.measured))))}</li>`).join("")}</ul>` : "<p>No out-of-tolerance items found from entered measurements.</p>"}
+      ${Object.keys(grouped).length ? `<ul>${Object.entries(grouped).map(([name, items]) => `<li><strong>${escapeHtml(name)}:</strong> ${items.length} item(s), max deviation ${fmt(Math.max(...items.map((item) => Math.abs(item.measured))))} ${items[0].custom ? items[0].unit : name.startsWith("Beam Roll") ? "deg" : jobUnits(job).offset}</li>`).join("")}</ul>` : "<p>No out-of-tolerance items found from entered measurements.</p>"}
+    </section>
+
+    <section>
+      <h3>Plan View</h3>
+      <div class="plan-view">${planViewSvg(job)}</div>
+    </section>
+
+    ${renderReadingSetComparison(job)}
+
+    ${renderReportTrend(job)}
+
+    ${renderReportCorrectionPlan(plan)}
+
+    ${renderReportReadingFlags(job)}
+
+    ${renderReportCustomFields(job, results)}
+
+    ${renderReportAttachments(job, results)}
+
+    <section>
+      <h3>Tolerances Applied</h3>
+      <div class="report-grid">
+        ${reportField("Straightness", `±${offsetText(job, job.straightnessTolIn)}`)}
+        ${reportField("Horizontal Rate of Change", `${offsetText(job, job.rateTolPer20Ft)} per ${lengthText(job, rateWindowFt(job))}`)}
+        ${reportField("Elevation Rate of Change", `${offsetText(job, job.elevationRateTolIn)} per ${lengthText(job, rateWindowFt(job))}`)}
+        ${reportField("Span Rate of Change", `${offsetText(job, job.spanRateTolIn)} per ${lengthText(job, rateWindowFt(job))}`)}
+        ${reportField("Span", `±${offsetText(job, job.spanTolIn)}`)}
+        ${reportField("Rail-to-Rail Elevation", `±${offsetText(job, job.railToRailTolIn)}`)}
+        ${reportField("Elevation", `±${offsetText(job, job.elevationTolIn)}`)}
+        ${reportField("Beam Roll", `±${fmt(job.beamRollTolDeg, 2)} deg`)}
+        ${customTolerances(job).map(([label, value]) => reportField(label, value)).join("")}
+      </div>
+      <p>${escapeHtml(job.tolerancePreset ? `Limits taken from ${presetCitation(job.tolerancePreset)}.` : "Limits entered for this job without a standard preset.")}</p>
     </section>
 
     <section>
@@ -582,6 +3024,109 @@ function renderReport() {
   `;
 }
 
+function renderReportCorrectionPlan(plan) {
+  if (!plan.rows.length) return "";
+  return `
+    <section>
+      <h3>Correction Plan and Shim Schedule</h3>
+      <p>${escapeHtml(renderCorrectionPlanSummary(plan))}</p>
+      <table class="report-table">
+        <thead><tr><th>Station</th><th>Column</th><th>Rail</th><th>Horizontal</th><th>Vertical / Shims</th><th>Notes</th></tr></thead>
+        <tbody>${renderCorrectionPlanRows(plan)}</tbody>
+      </table>
+    </section>`;
+}
+
+function renderReportReadingFlags(job) {
+  const flagged = flaggedReadings(job);
+  if (!flagged.length) return "";
+  return `
+    <section>
+      <h3>Flagged Readings</h3>
+      <p>Readings flagged at capture as implausible, out of line with the neighbouring stations, or far from the reference span, and how the crew resolved them.</p>
+      <table class="report-table">
+        <thead><tr><th>Station</th><th>Reading</th><th>Value</th><th>Flag</th><th>Outcome</th></tr></thead>
+        <tbody>${flagged.map(({ station, field, flag, value }) => `
+          <tr>
+            <td>${escapeHtml(stationLabel(station, job))}</td>
+            <td>${escapeHtml(readingLabels[field])}</td>
+            <td>${value === "" ? "-" : escapeHtml(readingText(job, field, toNum(value)))}</td>
+            <td>${escapeHtml(flag.reason)}</td>
+            <td>${escapeHtml(readingFlagStatuses[flag.status])}${flag.user ? ` <small>${escapeHtml(flag.user)}</small>` : ""}</td>
+          </tr>`).join("")}</tbody>
+      </table>
+    </section>`;
+}
+
+function customTolerances(job) {
+  return job.customFields
+    .filter((custom) => custom.type === "number" && String(custom.tolerance ?? "").trim())
+    .map((custom) => {
+      const unit = custom.unit ? ` ${custom.unit}` : "";
+      return [custom.name || "Custom field", `${fmt(toNum(custom.nominal, 0))}${unit} ±${fmt(Math.abs(toNum(custom.tolerance, 0)))}${unit}`];
+    });
+}
+
+function customFieldRows(job, results) {
+  return results.stationResults
+    .filter((result) => job.customFields.some((custom) => String(result.station[custom.id] ?? "").trim()))
+    .map((result) => {
+      const failed = new Set(result.failures.filter((check) => check.custom).map((check) => check.field));
+      return {
+        station: result.station,
+        cells: job.customFields.map((custom) => ({ value: String(result.station[custom.id] ?? "").trim(), fail: failed.has(custom.id) }))
+      };
+    });
+}
+
+function renderReportCustomFields(job, results) {
+  const rows = customFieldRows(job, results);
+  if (!rows.length) return "";
+  return `
+    <section>
+      <h3>Custom Station Fields</h3>
+      <table class="report-table">
+        <thead><tr><th>Station</th>${job.customFields.map((custom) => `<th>${escapeHtml(customFieldLabel(custom))}</th>`).join("")}</tr></thead>
+        <tbody>${rows.map(({ station, cells }) => `
+          <tr>
+            <td>${escapeHtml(stationLabel(station, job))}</td>
+            ${cells.map((cell) => `<td class="${cell.fail ? "fail-cell" : ""}">${escapeHtml(cell.value || "-")}</td>`).join("")}
+          </tr>`).join("")}</tbody>
+      </table>
+    </section>`;
+}
+
+function stationResultSummary(result) {
+  if (!result.checks.length) return "No measurements entered.";
+  if (!result.failures.length) return `All ${result.checks.length} checks within tolerance.`;
+  return `Out of tolerance: ${[...new Set(result.failures.map((check) => check.name))].join(", ")}.`;
+}
+
+function attachedStationResults(results) {
+  return results.stationResults.filter((result) => result.station.attachments?.length);
+}
+
+function renderReportAttachments(job, results) {
+  const stations = attachedStationResults(results);
+  if (!stations.length) return "";
+  return `
+    <section>
+      <h3>Station Photos and Sketches</h3>
+      ${stations.map((result) => `
+        <div class="report-attachments">
+          <h4>${escapeHtml(stationLabel(result.station, job))}</h4>
+          <p><span class="result-pill ${result.failures.length ? "fail" : "pass"}">${escapeHtml(stationResultSummary(result))}</span></p>
+          <div class="attachment-grid">
+            ${result.station.attachments.filter((meta) => state.attachments.has(meta.id)).map((meta) => `
+              <figure>
+                <img src="${state.attachments.get(meta.id).thumbUrl}" alt="${escapeHtml(meta.caption || attachmentKinds[meta.kind])}" />
+                <figcaption>${escapeHtml(meta.caption || attachmentKinds[meta.kind])}</figcaption>
+              </figure>`).join("")}
+          </div>
+        </div>`).join("")}
+    </section>`;
+}
+
 function reportField(label, value) {
   return `<div><span>${escapeHtml(label)}</span><strong>${escapeHtml(value || "Not entered")}</strong></div>`;
 }
@@ -594,85 +3139,1683 @@ function groupFailures(failures) {
   }, {});
 }
 
-function renderAll() {
-  hydrateInputs();
-  renderJobSelect();
-  renderLayoutTable();
-  renderStationCards();
-  renderCompletion();
-  renderReview();
-  renderReport();
+function pdfString(value) {
+  return String(value ?? "")
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .split("")
+    .map((char) => {
+      const code = char.charCodeAt(0);
+      if (char === "(" || char === ")" || char === "\\") return `\\${char}`;
+      if (code < 32) return " ";
+      if (code < 127) return char;
+      if (code >= 160 && code <= 255) return `\\${code.toString(8).padStart(3, "0")}`;
+      return "?";
+    })
+    .join("");
 }
 
-function updateStation(index, field, value, options = {}) {
-  const job = activeJob();
-  if (!job?.stations[index]) return;
-  job.stations[index][field] = value;
-  touchJob(job);
-  if (options.render === "quiet") return;
-  if (options.render === "card") {
-    renderCompletion();
-    renderReview();
-    renderReport();
-    return;
-  }
-  renderAll();
+function pdfTextWidth(value, size, bold = false) {
+  const units = [...String(value ?? "")].reduce((sum, char) => {
+    const code = char.charCodeAt(0);
+    return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+  }, 0);
+  return (units * size * (bold ? 1.06 : 1)) / 1000;
 }
 
-function updateVisibleCardResults(card, index) {
-  const job = activeJob();
-  const station = job?.stations[index];
-  if (!station) return;
-  const result = stationEval(job, station, job.stations[index - 1]);
-  $(".station-results", card).innerHTML = result.checks.length
-    ? result.checks.slice(0, 8).map((check) => `<span class="result-pill ${check.status}">${escapeHtml(check.name)}: ${check.status.toUpperCase()}</span>`).join("")
-    : `<span class="result-pill pass">No measurements yet</span>`;
+function wrapPdfText(value, width, size, bold = false) {
+  return String(value ?? "").split(/\r?\n/).flatMap((paragraph) => {
+    const lines = [];
+    let line = "";
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (pdfTextWidth(candidate, size, bold) <= width || !line) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    });
+    lines.push(line);
+    return lines;
+  });
 }
 
-function scheduleReviewRefresh() {
-  clearTimeout(state.refreshTimer);
-  state.refreshTimer = setTimeout(() => {
-    renderReview();
-    renderReport();
-  }, 220);
+function pdfColor(color, operator) {
+  return `${color.map((part) => part.toFixed(3)).join(" ")} ${operator}`;
 }
 
-function downloadFile(name, mime, content) {
-  const blob = new Blob([content], { type: mime });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement("a");
-  link.href = url;
-  link.download = name;
-  document.body.appendChild(link);
-  link.click();
-  link.remove();
-  URL.revokeObjectURL(url);
+function createPdfDocument() {
+  const pages = [];
+  const images = [];
+  const flip = (y) => PDF_PAGE.height - y;
+  let target = null;
+  const current = () => target;
+  return {
+    pages,
+    addPage() {
+      target = { ops: [], images: new Set() };
+      pages.push(target);
+    },
+    usePage(index) {
+      target = pages[index];
+    },
+    text(x, y, value, { size = 10, bold = false, color = pdfColors.ink, align = "left" } = {}) {
+      const width = pdfTextWidth(value, size, bold);
+      const left = align === "right" ? x - width : align === "center" ? x - width / 2 : x;
+      current().ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${pdfColor(color, "rg")} ${left.toFixed(2)} ${flip(y).toFixed(2)} Td (${pdfString(value)}) Tj ET`);
+    },
+    rect(x, y, width, height, { fill, stroke, lineWidth = 0.75 } = {}) {
+      const ops = [`${lineWidth} w`];
+      if (fill) ops.push(pdfColor(fill, "rg"));
+      if (stroke) ops.push(pdfColor(stroke, "RG"));
+      ops.push(`${x.toFixed(2)} ${flip(y + height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re ${fill && stroke ? "B" : fill ? "f" : "S"}`);
+      current().ops.push(ops.join(" "));
+    },
+    line(x1, y1, x2, y2, { color = pdfColors.line, lineWidth = 0.75 } = {}) {
+      current().ops.push(`${lineWidth} w ${pdfColor(color, "RG")} ${x1.toFixed(2)} ${flip(y1).toFixed(2)} m ${x2.toFixed(2)} ${flip(y2).toFixed(2)} l S`);
+    },
+    image(jpeg, x, y, width, height) {
+      const name = `Im${images.length + 1}`;
+      images.push({ name, ...jpeg });
+      current().images.add(name);
+      current().ops.push(`q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(2)} ${flip(y + height).toFixed(2)} cm /${name} Do Q`);
+    },
+    toBlob() {
+      return new Blob([buildPdfBytes(pages, images)], { type: "application/pdf" });
+    }
+  };
 }
 
-function exportActiveJob() {
-  const job = activeJob();
-  const safeName = (jobTitle(job) || "survey-job").replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase();
-  downloadFile(`${safeName}.json`, "application/json", JSON.stringify(job, null, 2));
+function buildPdfBytes(pages, images) {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === "string" ? Uint8Array.from(part, (char) => char.charCodeAt(0) & 255) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, body) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n`);
+    (Array.isArray(body) ? body : [body]).forEach(push);
+    push("\nendobj\n");
+  };
+  const imageIds = Object.fromEntries(images.map((image, index) => [image.name, 5 + index]));
+  const firstPageId = 5 + images.length;
+  const pageIds = pages.map((_, index) => firstPageId + index * 2);
+  push("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n");
+  object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  object(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+  object(3, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  object(4, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+  images.forEach((image) => {
+    object(imageIds[image.name], [
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`,
+      image.bytes,
+      "\nendstream"
+    ]);
+  });
+  pages.forEach((page, index) => {
+    const content = page.ops.join("\n");
+    const xObjects = [...page.images].map((name) => `/${name} ${imageIds[name]} 0 R`).join(" ");
+    object(pageIds[index], `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ""} >> /Contents ${pageIds[index] + 1} 0 R >>`);
+    object(pageIds[index] + 1, `<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+  });
+  const xrefOffset = length;
+  const count = firstPageId + pages.length * 2;
+  push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let id = 1; id < count; id += 1) push(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+  push(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  const output = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach((chunk) => {
+    output.set(chunk, position);
+    position += chunk.length;
+  });
+  return output;
 }
 
-function downloadCsv() {
-  const job = activeJob();
-  const header = ["stationFt", "columnLabel", "type", "railA", "railB", "beamA", "beamB", "elevA", "elevB", "span", "rollA", "rollB", "reviewed", "notes"];
-  const rows = job.stations.map((station) => header.map((key) => `"${String(station[key] ?? "").replace(/"/g, '""')}"`).join(","));
-  downloadFile("survey-stations.csv", "text/csv", `${header.join(",")}\n${rows.join("\n")}`);
+function createPdfLayout(pdf) {
+  const { width, height, margin } = PDF_PAGE;
+  const contentWidth = width - margin * 2;
+  const bottom = height - margin - 24;
+  const layout = {
+    y: margin,
+    contentWidth,
+    newPage() {
+      pdf.addPage();
+      layout.y = margin;
+    },
+    ensure(space) {
+      if (layout.y + space > bottom) layout.newPage();
+    },
+    heading(text) {
+      layout.ensure(40);
+      layout.y += 8;
+      pdf.text(margin, layout.y + 12, text, { size: 13, bold: true, color: pdfColors.navy });
+      pdf.line(margin, layout.y + 18, margin + contentWidth, layout.y + 18, { color: pdfColors.orange, lineWidth: 1.5 });
+      layout.y += 28;
+    },
+    paragraph(text, { size = 9.5, color = pdfColors.ink, bold = false } = {}) {
+      wrapPdfText(text, contentWidth, size, bold).forEach((line) => {
+        layout.ensure(size + 4);
+        pdf.text(margin, layout.y + size, line, { size, color, bold });
+        layout.y += size + 4;
+      });
+      layout.y += 4;
+    },
+    fields(pairs, columns = 2) {
+      const columnWidth = contentWidth / columns;
+      for (let index = 0; index < pairs.length; index += columns) {
+        const row = pairs.slice(index, index + columns);
+        const lines = row.map(([, value]) => wrapPdfText(value || "Not entered", columnWidth - 10, 10, true));
+        const rowHeight = 14 + Math.max(...lines.map((item) => item.length)) * 12;
+        layout.ensure(rowHeight + 4);
+        row.forEach(([label], column) => {
+          const x = margin + column * columnWidth;
+          pdf.text(x, layout.y + 8, label.toUpperCase(), { size: 7, bold: true, color: pdfColors.muted });
+          lines[column].forEach((line, lineIndex) => pdf.text(x, layout.y + 20 + lineIndex * 12, line, { size: 10, bold: true }));
+          pdf.line(x, layout.y + rowHeight, x + columnWidth - 10, layout.y + rowHeight);
+        });
+        layout.y += rowHeight + 6;
+      }
+    },
+    table(columns, rows, { size = 7.5 } = {}) {
+      const totalWeight = columns.reduce((sum, column) => sum + (column.weight || 1), 0);
+      const widths = columns.map((column) => (contentWidth * (column.weight || 1)) / totalWeight);
+      const drawHeader = () => {
+        pdf.rect(margin, layout.y, contentWidth, 16, { fill: pdfColors.navy });
+        let x = margin;
+        columns.forEach((column, index) => {
+          pdf.text(x + 3, layout.y + 11, column.label.toUpperCase(), { size: 6.5, bold: true, color: pdfColors.white });
+          x += widths[index];
+        });
+        layout.y += 16;
+      };
+      layout.ensure(34);
+      drawHeader();
+      rows.forEach((row) => {
+        const cells = row.cells.map((cell, index) => wrapPdfText(cell, widths[index] - 6, size));
+        const rowHeight = Math.max(...cells.map((lines) => lines.length)) * (size + 2.5) + 6;
+        if (layout.y + rowHeight > bottom) {
+          layout.newPage();
+          drawHeader();
+        }
+        let x = margin;
+        cells.forEach((lines, index) => {
+          const highlight = row.highlight?.[index];
+          if (highlight) pdf.rect(x, layout.y, widths[index], rowHeight, { fill: highlight === "fail" ? pdfColors.redSoft : pdfColors.soft });
+          lines.forEach((line, lineIndex) => pdf.text(x + 3, layout.y + 3 + size + lineIndex * (size + 2.5), line, {
+            size,
+            bold: highlight === "fail",
+            color: highlight === "fail" ? pdfColors.red : pdfColors.ink
+          }));
+          x += widths[index];
+        });
+        pdf.line(margin, layout.y + rowHeight, margin + contentWidth, layout.y + rowHeight);
+        layout.y += rowHeight;
+      });
+      layout.y += 10;
+    },
+    image(jpeg) {
+      const drawHeight = (contentWidth * jpeg.height) / jpeg.width;
+      layout.ensure(drawHeight + 8);
+      pdf.image(jpeg, margin, layout.y, contentWidth, drawHeight);
+      layout.y += drawHeight + 10;
+    },
+    imageGrid(items, columns = 3) {
+      const gap = 10;
+      const cellWidth = (contentWidth - gap * (columns - 1)) / columns;
+      for (let start = 0; start < items.length; start += columns) {
+        const row = items.slice(start, start + columns);
+        const rowHeight = Math.max(...row.map(({ jpeg }) => Math.min(cellWidth, (cellWidth * jpeg.height) / jpeg.width)));
+        layout.ensure(rowHeight + 22);
+        row.forEach(({ jpeg, caption }, index) => {
+          const scale = Math.min(cellWidth / jpeg.width, rowHeight / jpeg.height);
+          const x = margin + index * (cellWidth + gap);
+          pdf.image(jpeg, x, layout.y, jpeg.width * scale, jpeg.height * scale);
+          if (caption) pdf.text(x, layout.y + rowHeight + 11, wrapPdfText(caption, cellWidth, 7.5)[0], { size: 7.5, color: pdfColors.muted });
+        });
+        layout.y += rowHeight + 22;
+      }
+    }
+  };
+  return layout;
 }
 
-function copySummary() {
-  const job = activeJob();
-  const results = evaluateJob(job);
-  const text = `${jobTitle(job)}\nStations: ${job.stations.length}\nReviewed: ${job.stations.filter((station) => station.reviewed).length}/${job.stations.length}\nOut-of-tolerance checks: ${results.failures.length}`;
-  navigator.clipboard?.writeText(text);
+function svgToJpeg(svg, scale = 2) {
+  return new Promise((resolve) => {
+    const size = svg.match(/viewBox="0 0 (\d+(?:\.\d+)?) (\d+(?:\.\d+)?)"/);
+    if (!size) {
+      resolve(null);
+      return;
+    }
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(Number(size[1]) * scale);
+      canvas.height = Math.round(Number(size[2]) * scale);
+      const context = canvas.getContext("2d");
+      context.fillStyle = "#fff";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(async (blob) => {
+        resolve(blob ? { bytes: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height } : null);
+      }, "image/jpeg", 0.92);
+    };
+    image.onerror = () => resolve(null);
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
 }
 
-function setTab(id) {
-  $$(".tab").forEach((tab) => {
-    const isActive = tab.dataset.tab === id;
-    tab.classList.toggle("active", isActive);
+function dataUrlToJpeg(record) {
+  const binary = atob(String(record.dataUrl).split(",")[1] || "");
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index += 1) bytes[index] = binary.charCodeAt(index);
+  return { bytes, width: record.width, height: record.height };
+}
+
+function stationTableRows(job, results) {
+  const fields = ["railA", "railB", "beamA", "beamB", "elevA", "elevB", "span", "rollA", "rollB"];
+  return results.stationResults.map((result) => {
+    const failed = new Set(result.failures.flatMap((check) => checkFields[check.name] || []));
+    const raw = result.station.raw || result.station;
+    const flags = readingFlags(job, job.stations.find((station) => station.id === result.station.id) || {});
+    return {
+      cells: [
+        fmt(result.station.stationFt, jobUnits(job).lengthDigits),
+        result.station.columnLabel || "",
+        ...fields.map((field) => `${fmt(raw[field])}${flags[field] ? "*" : ""}`),
+        result.checks.length ? (result.pass ? "PASS" : `FAIL (${result.failures.length})`) : "-"
+      ],
+      highlight: [
+        "",
+        "",
+        ...fields.map((field) => (failed.has(field) ? "fail" : "")),
+        result.checks.length && !result.pass ? "fail" : ""
+      ]
+    };
+  });
+}
+
+async function buildPdfReport(job = activeJob()) {
+  const { results, plan } = evaluateSurvey(job);
+  const pdf = createPdfDocument();
+  const layout = createPdfLayout(pdf);
+  const { margin, width } = PDF_PAGE;
+  const title = `${job.customer || "Customer"} - ${job.facilityLocation || "Facility"}`;
+
+  layout.newPage();
+  pdf.rect(0, 0, width, 150, { fill: pdfColors.navy });
+  pdf.rect(0, 150, width, 5, { fill: pdfColors.orange });
+  pdf.text(margin, 56, "BIG G STEEL  |  CRANE & MATERIAL HANDLING SOLUTIONS", { size: 9, bold: true, color: [0.788, 0.839, 0.867] });
+  pdf.text(margin, 98, "Crane Runway Survey Report", { size: 26, bold: true, color: pdfColors.white });
+  pdf.text(margin, 124, job.serviceBay || job.projectName || "Runway Survey", { size: 13, color: [0.788, 0.839, 0.867] });
+  layout.y = 200;
+  pdf.text(margin, layout.y, title, { size: 18, bold: true, color: pdfColors.navy });
+  layout.y += 30;
+  layout.fields([
+    ["Survey Date", job.surveyDate],
+    ["Report Number", job.reportNumber],
+    ["Job Number", job.jobNumber],
+    ["Surveyors", job.surveyors],
+    ["Reading Set", readingSet(job).name],
+    ["Tolerance Standard", presetCitation(job.tolerancePreset) || "Job-specific tolerances"]
+  ]);
+  layout.y += 10;
+  const passed = results.checks.length && !results.failures.length;
+  pdf.rect(margin, layout.y, layout.contentWidth, 60, { fill: passed ? [0.898, 0.953, 0.929] : pdfColors.redSoft });
+  pdf.text(margin + 16, layout.y + 26, passed ? "ALL ENTERED CHECKS WITHIN TOLERANCE" : results.checks.length ? `${results.failures.length} OUT-OF-TOLERANCE CHECK(S)` : "NO MEASUREMENTS ENTERED", { size: 14, bold: true, color: passed ? pdfColors.green : pdfColors.red });
+  pdf.text(margin + 16, layout.y + 44, `${job.stations.length} stations, ${results.checks.length} checks evaluated`, { size: 10, color: pdfColors.ink });
+  layout.y += 80;
+
+  layout.newPage();
+  layout.heading("Project Data");
+  layout.fields([
+    ["Customer / Owner", job.customer],
+    ["Project Name", job.projectName],
+    ["Facility Location", job.facilityLocation],
+    ["Service / Bay", job.serviceBay],
+    ["Crane Manufacturer", job.craneManufacturer],
+    ["Capacity", job.capacity],
+    ["Service Class", job.serviceClass],
+    ["Runway Manufacturer", job.runwayManufacturer],
+    ["Rail Size", job.railSize],
+    ["Device / Method", job.device],
+    ["Reference Span", job.referenceSpanIn ? offsetText(job, job.referenceSpanIn) : ""],
+    ["Runway Length", job.runwayLengthFt ? lengthText(job, job.runwayLengthFt) : ""],
+    ["Units", jobUnits(job).label],
+    ["Directions", `${job.startDirection || "Start"} to ${job.endDirection || "End"}`],
+    ["Alignment Reference", describeAlignment(job)]
+  ]);
+  layout.heading("Tolerances Applied");
+  layout.fields([
+    ["Straightness", `±${offsetText(job, job.straightnessTolIn)}`],
+    ["Span", `±${offsetText(job, job.spanTolIn)}`],
+    ["Elevation", `±${offsetText(job, job.elevationTolIn)}`],
+    ["Rail-to-Rail Elevation", `±${offsetText(job, job.railToRailTolIn)}`],
+    ["Horizontal Rate of Change", `${offsetText(job, job.rateTolPer20Ft)} per ${lengthText(job, rateWindowFt(job))}`],
+    ["Elevation / Span Rate", `${fmtOffset(job, job.elevationRateTolIn)} / ${offsetText(job, job.spanRateTolIn)} per ${lengthText(job, rateWindowFt(job))}`],
+    ["Beam Roll", `±${fmt(job.beamRollTolDeg, 2)} deg`],
+    ...customTolerances(job),
+    ["Standard", presetCitation(job.tolerancePreset) || "Job-specific tolerances"]
+  ]);
+
+  layout.newPage();
+  layout.heading("Station Measurements");
+  layout.paragraph(`Readings in ${jobUnits(job) === unitSystems.imperial ? "inches" : "millimetres"} (beam roll in degrees) from the "${readingSet(job).name}" reading set. Repeated shots are combined by their ${job.shotCombine === "median" ? "median" : "mean"}${repeatabilityWarnings(job).length ? `, and ${repeatabilityWarnings(job).length} reading(s) spread more than the repeatability limit` : ""}. Highlighted cells are out of tolerance; * marks a reading flagged at capture.`, { size: 8.5, color: pdfColors.muted });
+  layout.table([
+    { label: `Station ${jobUnits(job).length}`, weight: 1.1 },
+    { label: "Col", weight: 0.7 },
+    { label: "Rail A" },
+    { label: "Rail B" },
+    { label: "Beam A" },
+    { label: "Beam B" },
+    { label: "Elev A" },
+    { label: "Elev B" },
+    { label: "Span", weight: 1.3 },
+    { label: "Roll A" },
+    { label: "Roll B" },
+    { label: "Result", weight: 1.2 }
+  ], stationTableRows(job, results));
+  const flagged = flaggedReadings(job);
+  if (flagged.length) {
+    layout.heading("Flagged Readings");
+    layout.table([
+      { label: "Station", weight: 0.9 },
+      { label: "Reading", weight: 1.1 },
+      { label: "Value", weight: 0.8 },
+      { label: "Flag", weight: 3 },
+      { label: "Outcome", weight: 1 }
+    ], flagged.map(({ station, field, flag, value }) => ({
+      cells: [stationLabel(station, job), readingLabels[field], value === "" ? "-" : readingText(job, field, toNum(value)), flag.reason, readingFlagStatuses[flag.status]],
+      highlight: ["", "", "", "", flag.status === "flagged" || flag.status === "reshoot" ? "fail" : ""]
+    })));
+  }
+  const customRows = customFieldRows(job, results);
+  if (customRows.length) {
+    layout.heading("Custom Station Fields");
+    layout.table([
+      { label: "Station", weight: 0.9 },
+      ...job.customFields.map((custom) => ({ label: customFieldLabel(custom) }))
+    ], customRows.map(({ station, cells }) => ({
+      cells: [stationLabel(station, job), ...cells.map((cell) => cell.value || "-")],
+      highlight: ["", ...cells.map((cell) => (cell.fail ? "fail" : ""))]
+    })));
+  }
+
+  const charts = reviewCharts(job).filter(([, svg]) => svg.startsWith("<svg"));
+  if (charts.length) {
+    layout.newPage();
+    layout.heading("Review Charts");
+    for (const [chartTitle, svg] of charts) {
+      const jpeg = await svgToJpeg(svg);
+      layout.ensure(30);
+      layout.paragraph(chartTitle, { size: 10, bold: true, color: pdfColors.navy });
+      if (jpeg) layout.image(jpeg);
+      else layout.paragraph("Chart could not be rendered in this browser.", { size: 8.5, color: pdfColors.muted });
+    }
+  }
+
+  const planJpeg = await svgToJpeg(planViewSvg(job));
+  layout.ensure(30);
+  layout.heading("Plan View");
+  if (planJpeg) layout.image(planJpeg);
+  else layout.paragraph("Plan view could not be rendered in this browser.", { size: 8.5, color: pdfColors.muted });
+
+  layout.heading("Out-of-Tolerance Items and Corrections");
+  if (results.failures.length) {
+    layout.table([
+      { label: "Check", weight: 1.4 },
+      { label: "Station", weight: 0.8 },
+      { label: "Measured", weight: 0.8 },
+      { label: "Allowed", weight: 0.8 },
+      { label: "Correction", weight: 3.2 }
+    ], results.failures.map((check) => ({
+      cells: [check.name, lengthText(job, check.stationFt), fmtOffset(job, check.measured), `±${fmtOffset(job, check.allowed)}`, check.correction],
+      highlight: ["", "", "fail", "", ""]
+    })));
+  } else {
+    layout.paragraph("No out-of-tolerance items found from entered measurements.");
+  }
+  const baseline = trendBaseline(job);
+  if (baseline) {
+    const trend = compareSurveys(job, baseline);
+    layout.heading("Survey Trend");
+    layout.paragraph(describeTrend(job, baseline, trend), { size: 9 });
+    layout.paragraph(`Surveys of this runway: ${runwaySurveys(job).map((survey) => survey.surveyDate || "Undated").join(", ")}. Other surveys of this runway are overlaid as dashed lines on the review charts.`, { size: 8.5, color: pdfColors.muted });
+    if (trend.flagged.length) {
+      layout.table([
+        { label: "Station", weight: 0.8 },
+        { label: "Measurement", weight: 1.6 },
+        { label: trendLabel(baseline), weight: 1.2 },
+        { label: "This Survey", weight: 1 },
+        { label: "Drift", weight: 0.8 },
+        { label: "Growth", weight: 0.8 }
+      ], trendReportRows(trend).map((row) => ({
+        cells: [lengthText(job, row.stationFt), row.field.label, fmtOffset(job, row.field.before), fmtOffset(job, row.field.now), trendCell(job, row.field), `+${fmtOffset(job, row.field.growth)}`],
+        highlight: ["", "", "", "", "", "fail"]
+      })));
+    }
+  }
+  if (plan.rows.length) {
+    layout.heading("Correction Plan and Shim Schedule");
+    layout.paragraph(renderCorrectionPlanSummary(plan), { size: 9 });
+    layout.table([
+      { label: "Station", weight: 0.8 },
+      { label: "Column", weight: 0.7 },
+      { label: "Rail", weight: 1.2 },
+      { label: "Horizontal", weight: 1.1 },
+      { label: "Vertical / Shims", weight: 2 },
+      { label: "Notes", weight: 2 }
+    ], plan.rows.map((row) => ({
+      cells: [lengthText(job, row.stationFt), row.columnLabel || "", row.sideLabel, describeShift(job, row.shift), describeShim(job, row), row.notes.join(" ")]
+    })));
+  }
+
+  const attached = attachedStationResults(results);
+  if (attached.length) {
+    const records = new Map((await jobAttachmentRecords(job)).map((record) => [record.id, record]));
+    layout.newPage();
+    layout.heading("Station Photos and Sketches");
+    attached.forEach((result) => {
+      const images = result.station.attachments
+        .filter((meta) => records.has(meta.id))
+        .map((meta) => ({ jpeg: dataUrlToJpeg(records.get(meta.id)), caption: meta.caption || attachmentKinds[meta.kind] }));
+      layout.ensure(60);
+      layout.paragraph(stationLabel(result.station), { size: 10, bold: true, color: pdfColors.navy });
+      layout.paragraph(stationResultSummary(result), { size: 9, color: result.failures.length ? pdfColors.red : pdfColors.green });
+      layout.imageGrid(images);
+    });
+  }
+
+  layout.heading("Site Notes");
+  layout.paragraph(job.siteNotes || "No site notes entered.");
+  layout.heading("Recommended Field Action");
+  layout.paragraph(results.failures.length
+    ? "Correct all tolerance violations, remeasure affected stations and adjacent stations, then issue a revised report before customer handoff."
+    : "Entered measurements currently show no tolerance violations. Complete final engineering review before signoff.");
+
+  layout.ensure(190);
+  layout.heading("Signoff");
+  const blockWidth = (layout.contentWidth - 24) / 2;
+  [["Surveyor", job.surveyors], ["Customer Representative", ""]].forEach(([role, name], index) => {
+    const x = margin + index * (blockWidth + 24);
+    const top = layout.y;
+    pdf.rect(x, top, blockWidth, 130, { stroke: pdfColors.line });
+    pdf.text(x + 10, top + 18, role.toUpperCase(), { size: 8, bold: true, color: pdfColors.navy });
+    [["Name", name], ["Signature", ""], ["Date", ""]].forEach(([label, value], row) => {
+      const lineY = top + 52 + row * 32;
+      if (value) pdf.text(x + 62, lineY - 4, value, { size: 10 });
+      pdf.text(x + 10, lineY, label, { size: 8, color: pdfColors.muted });
+      pdf.line(x + 60, lineY + 2, x + blockWidth - 10, lineY + 2, { color: pdfColors.muted });
+    });
+  });
+  layout.y += 140;
+
+  const footer = [job.reportNumber ? `Report ${job.reportNumber}` : "", title, `Generated ${new Date().toLocaleDateString()}`].filter(Boolean).join("  |  ");
+  pdf.pages.forEach((_, index) => {
+    pdf.usePage(index);
+    pdf.line(margin, PDF_PAGE.height - 30, PDF_PAGE.width - margin, PDF_PAGE.height - 30);
+    pdf.text(margin, PDF_PAGE.height - 18, footer, { size: 7, color: pdfColors.muted });
+    pdf.text(PDF_PAGE.width - margin, PDF_PAGE.height - 18, `Page ${index + 1} of ${pdf.pages.length}`, { size: 7, color: pdfColors.muted, align: "right" });
+  });
+  return pdf.toBlob();
+}
+
+async function downloadPdfReport() {
+  const job = activeJob();
+  const buttons = [$("#printReportButton"), $("#downloadPdfButton")];
+  buttons.forEach((button) => {
+    button.disabled = true;
+  });
+  try {
+    const blob = await buildPdfReport(job);
+    const safeName = (jobTitle(job) || "survey-report").replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase();
+    downloadFile(`${safeName}-report.pdf`, "application/pdf", blob);
+  } catch (error) {
+    alert(`The PDF report could not be generated (${error?.message || error}).`);
+  } finally {
+    buttons.forEach((button) => {
+      button.disabled = false;
+    });
+  }
+}
+
+function renderAll() {
+  loadAttachments();
+  hydrateInputs();
+  renderUnits();
+  renderJobSelect();
+  renderReadingSets();
+  renderPresetLibrary();
+  renderTemplateLibrary();
+  renderLayoutTable();
+  renderCrewTable();
+  renderCustomFieldTable();
+  renderCrewFilter();
+  renderStationCards();
+  renderCompletion();
+  renderEvaluation();
+  renderHistory();
+  renderUndoState();
+  renderDashboard();
+}
+
+function currentUser() {
+  return localStorage.getItem(USER_KEY) || "Unnamed surveyor";
+}
+
+function undoStack(job) {
+  state.undoStacks[job.id] = state.undoStacks[job.id] || { undo: [], redo: [] };
+  return state.undoStacks[job.id];
+}
+
+function recordUndo(job, label, key = "") {
+  const stack = undoStack(job);
+  const top = stack.undo[stack.undo.length - 1];
+  const now = Date.now();
+  stack.redo = [];
+  if (key && top?.key === key && now - top.time < EDIT_COALESCE_MS) {
+    top.time = now;
+    return;
+  }
+  stack.undo.push({ label, key, time: now, stations: structuredClone(job.stations) });
+  if (stack.undo.length > UNDO_LIMIT) stack.undo.shift();
+}
+
+function stepUndo(direction) {
+  const job = activeJob();
+  if (!job) return;
+  const stack = undoStack(job);
+  const from = direction === "undo" ? stack.undo : stack.redo;
+  const to = direction === "undo" ? stack.redo : stack.undo;
+  const entry = from.pop();
+  if (!entry) return;
+  to.push({ ...entry, key: "", time: Date.now(), stations: structuredClone(job.stations) });
+  const attachments = new Map(job.stations.map((station) => [station.id, station.attachments || []]));
+  const before = new Map(job.stations.map((station) => [station.id, JSON.stringify(stationSyncFields(station))]));
+  job.stations = entry.stations.map((station) => (attachments.has(station.id) ? { ...station, attachments: attachments.get(station.id) } : station));
+  job.stations.filter((station) => before.get(station.id) !== JSON.stringify(stationSyncFields(station))).forEach(touchStation);
+  logHistory(job, { action: direction, summary: `${direction === "undo" ? "Undid" : "Redid"}: ${entry.label}` });
+  state.currentStationIndex = Math.min(state.currentStationIndex, Math.max(0, job.stations.length - 1));
+  touchJob(job);
+  renderAll();
+}
+
+function logHistory(job, { action, station, field, setId, from, to, summary }) {
+  job.history = job.history || [];
+  const user = currentUser();
+  const at = new Date().toISOString();
+  const last = job.history[job.history.length - 1];
+  if (action === "edit" && last?.action === "edit" && last.stationId === station.id && last.field === field && last.user === user && Date.now() - Date.parse(last.at) < EDIT_COALESCE_MS) {
+    last.to = to;
+    last.at = at;
+    if (last.from === last.to) job.history.pop();
+    return;
+  }
+  job.history.push({
+    id: `change-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+    at,
+    user,
+    action,
+    stationId: station?.id || "",
+    stationFt: station?.stationFt ?? "",
+    field: field || "",
+    setId: setId || "",
+    from: from ?? "",
+    to: to ?? "",
+    summary: summary || ""
+  });
+  if (job.history.length > HISTORY_LIMIT) job.history.splice(0, job.history.length - HISTORY_LIMIT);
+}
+
+function changeStations(job, label, summary, mutate) {
+  recordUndo(job, label);
+  mutate();
+  logHistory(job, { action: "layout", summary });
+  touchJob(job);
+}
+
+function updateStation(index, field, value, options = {}) {
+  const job = activeJob();
+  const station = job?.stations[index];
+  if (!station) return;
+  const previous = readingEntry(job, station, field);
+  if (previous === value && !options.capture) return;
+  if (previous !== value) recordUndo(job, `${field} at ${lengthText(job, station.stationFt)}`, `${station.id}:${field}`);
+  setReadingEntry(job, station, field, value);
+  setCaptureTag(job, station, field, options.capture);
+  if (previous !== value || options.capture) {
+    logHistory(job, {
+      action: options.action || "edit",
+      station,
+      field,
+      setId: isSetField(field) ? job.activeSetId : "",
+      from: previous,
+      to: value,
+      summary: options.capture ? `Captured from ${options.capture.instrumentName} (${options.capture.instrumentId})` : ""
+    });
+  }
+  touchJob(job);
+  renderUndoState();
+  if (options.render === "quiet") return;
+  if (options.render === "card") {
+    renderCompletion();
+    renderEvaluation();
+    return;
+  }
+  renderAll();
+}
+
+function setCaptureTag(job, station, field, capture) {
+  if (!MEASUREMENT_FIELDS.includes(field)) return;
+  const tags = station.captures?.[job.activeSetId];
+  if (capture) {
+    station.captures = { ...station.captures, [job.activeSetId]: { ...tags, [field]: capture } };
+  } else if (tags?.[field]) {
+    delete tags[field];
+  }
+}
+
+function readingFlags(job, station, setId = job.activeSetId) {
+  return station.flags?.[setId] || {};
+}
+
+function setReadingFlag(job, station, field, flag) {
+  const flags = station.flags?.[job.activeSetId];
+  touchStation(station);
+  if (flag) {
+    station.flags = { ...station.flags, [job.activeSetId]: { ...flags, [field]: flag } };
+  } else if (flags?.[field]) {
+    delete flags[field];
+  }
+}
+
+function validateReading(job, station, field) {
+  if (!MEASUREMENT_FIELDS.includes(field)) return null;
+  const previous = readingFlags(job, station)[field];
+  const pending = previous?.status === "flagged" || previous?.status === "reshoot";
+  const empty = stationValue(job, station, field) === "";
+  const reason = empty ? "" : readingWarning(job, station, field);
+  const at = new Date().toISOString();
+  let flag = null;
+  if (reason) flag = { status: "flagged", reason, at };
+  else if (pending) flag = empty ? { ...previous, status: "reshoot" } : { ...previous, status: "reshot", at, user: currentUser() };
+  if (flag || previous) setReadingFlag(job, station, field, flag);
+  return flag;
+}
+
+function flaggedReadings(job) {
+  return job.stations.flatMap((station) => Object.entries(readingFlags(job, station)).map(([field, flag]) => ({ station, field, flag, value: stationValue(job, station, field) })));
+}
+
+function pendingReadingFlags(job) {
+  return flaggedReadings(job).filter(({ flag }) => flag.status === "flagged" || flag.status === "reshoot");
+}
+
+function resolveReadingFlag(index, field, status) {
+  const job = activeJob();
+  const station = job.stations[index];
+  const flag = station && readingFlags(job, station)[field];
+  if (!flag) return;
+  const value = stationValue(job, station, field);
+  if (status === "reshoot") {
+    updateStation(index, field, "", { render: "quiet" });
+    state.currentStationIndex = index;
+    state.captureField = { stationId: station.id, field };
+  } else if (state.captureField?.stationId === station.id && state.captureField.field === field) {
+    const fields = captureFields(job);
+    state.captureField = { stationId: station.id, field: fields[fields.indexOf(field) + 1] || field };
+  }
+  setReadingFlag(job, station, field, { ...flag, status, at: new Date().toISOString(), user: currentUser() });
+  logHistory(job, {
+    action: status === "reshoot" ? "reshoot" : "confirm",
+    station,
+    summary: `${status === "reshoot" ? "Asked to re-shoot" : "Confirmed"} flagged ${readingLabels[field]} reading ${readingText(job, field, toNum(value))} at ${stationLabel(station, job)}`
+  });
+  touchJob(job);
+  renderAll();
+  if (status === "reshoot") $(`.station-card[data-station-index="${index}"] .${field}`)?.focus();
+}
+
+function restoreHistoryValue(changeId) {
+  const job = activeJob();
+  const change = job.history?.find((item) => item.id === changeId);
+  const index = job.stations.findIndex((station) => station.id === change?.stationId);
+  if (!change?.field || index < 0) return;
+  if (change.setId && change.setId !== job.activeSetId) {
+    if (!job.readingSets.some((set) => set.id === change.setId)) return;
+    job.activeSetId = change.setId;
+  }
+  updateStation(index, change.field, change.from, { action: "restore" });
+}
+
+function historyValue(value) {
+  if (value === true) return "Yes";
+  if (value === false) return "No";
+  return value === "" || value === undefined || value === null ? "(blank)" : String(value);
+}
+
+function renderUndoState() {
+  const job = activeJob();
+  const stack = job ? undoStack(job) : { undo: [], redo: [] };
+  const lastUndo = stack.undo[stack.undo.length - 1];
+  const lastRedo = stack.redo[stack.redo.length - 1];
+  $("#undoButton").disabled = !lastUndo;
+  $("#redoButton").disabled = !lastRedo;
+  $("#undoButton").title = lastUndo ? `Undo ${lastUndo.label}` : "Nothing to undo";
+  $("#redoButton").title = lastRedo ? `Redo ${lastRedo.label}` : "Nothing to redo";
+}
+
+function renderHistory() {
+  const job = activeJob();
+  const search = $("#historySearch").value.trim().toLowerCase();
+  const entries = [...(job.history || [])].reverse().filter((change) => {
+    const setName = change.setId ? readingSet(job, change.setId).name : "";
+    const haystack = `${change.stationFt} ${change.field} ${setName} ${change.user} ${change.action} ${change.summary}`.toLowerCase();
+    return !search || haystack.includes(search);
+  });
+  $("#historyTable").innerHTML = entries.length
+    ? entries.slice(0, 200).map((change) => {
+      const canRestore = change.field && job.stations.some((station) => station.id === change.stationId);
+      return `
+      <tr>
+        <td>${escapeHtml(new Date(change.at).toLocaleString())}</td>
+        <td>${escapeHtml(change.user)}</td>
+        <td>${change.stationFt === "" ? "" : lengthText(job, change.stationFt)}</td>
+        <td>${escapeHtml(change.field ? `${change.action === "restore" ? "Restored " : ""}${change.field}${change.setId ? ` (${readingSet(job, change.setId).name})` : ""}${change.action === "capture" ? ` - ${change.summary}` : ""}` : change.summary)}</td>
+        <td>${change.field ? escapeHtml(historyValue(change.from)) : ""}</td>
+        <td>${change.field ? escapeHtml(historyValue(change.to)) : ""}</td>
+        <td>${canRestore ? `<button type="button" data-restore-change="${escapeHtml(change.id)}">Restore "${escapeHtml(historyValue(change.from))}"</button>` : ""}</td>
+      </tr>`;
+    }).join("")
+    : `<tr><td colspan="7">No station changes recorded yet.</td></tr>`;
+}
+
+function updateVisibleCardResults(card, index) {
+  const job = activeJob();
+  const station = job?.stations[index];
+  if (!station) return;
+  const views = evaluationViews(job);
+  const result = stationEval(job, views[index], rateWindowResults(job, views));
+  if ((job.alignmentMethod || "none") !== "none") renderAdjustedValues(card, views[index]);
+  $(".station-results", card).innerHTML = result.checks.length
+    ? result.checks.slice(0, 8).map((check) => `<span class="result-pill ${check.status}">${escapeHtml(check.name)}: ${check.status.toUpperCase()}</span>`).join("")
+    : `<span class="result-pill pass">No measurements yet</span>`;
+}
+
+function scheduleReviewRefresh() {
+  clearTimeout(state.refreshTimer);
+  state.refreshTimer = setTimeout(() => {
+    renderEvaluation();
+    renderHistory();
+  }, 220);
+}
+
+function scheduleCardRefresh() {
+  clearTimeout(state.cardRefreshTimer);
+  state.cardRefreshTimer = setTimeout(() => {
+    renderStationCards();
+    renderReview();
+  }, 220);
+}
+
+function downloadFile(name, mime, content) {
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+async function downloadJobFile(job, { stations = job.stations, suffix = "", extra = {} } = {}) {
+  const safeName = `${jobTitle(job) || "survey-job"}${suffix ? ` ${suffix}` : ""}`.replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase();
+  const referenced = new Set(stations.flatMap((station) => (station.attachments || []).map((meta) => meta.id)));
+  let attachments = [];
+  try {
+    attachments = (await jobAttachmentRecords(job)).filter((record) => referenced.has(record.id));
+  } catch (error) {
+    alert(`Photos and sketches could not be read for the export (${error?.message || error}). The job data is still exported.`);
+  }
+  const { sync, ...data } = job;
+  downloadFile(`${safeName}.json`, "application/json", JSON.stringify({ ...data, stations, ...extra, attachments }, null, 2));
+}
+
+function exportActiveJob() {
+  return downloadJobFile(activeJob());
+}
+
+function exportCrewStations() {
+  const job = activeJob();
+  const crew = activeCrew(job);
+  if (!crew) return;
+  const fields = [...crewFields(crew), ...job.customFields.map((custom) => custom.id), "reviewed"];
+  const keep = (groups = {}) => Object.fromEntries(Object.entries(groups).map(([setId, values]) => [
+    setId,
+    Object.fromEntries(Object.entries(values || {}).filter(([field]) => fields.includes(field)))
+  ]));
+  const stations = job.stations.filter((station) => crewCovers(crew, station)).map((station) => ({
+    ...structuredClone(station),
+    sets: keep(station.sets),
+    ...(station.captures ? { captures: keep(station.captures) } : {}),
+    ...(station.flags ? { flags: keep(station.flags) } : {}),
+    ...(station.shots ? { shots: keep(station.shots) } : {})
+  }));
+  return downloadJobFile(job, {
+    stations,
+    suffix: crew.name || "crew",
+    extra: { partial: { crewId: crew.id, crewName: crew.name, side: crew.side || "both", fromFt: crew.fromFt, toFt: crew.toFt, exportedAt: new Date().toISOString() } }
+  });
+}
+
+function alignPartialJob(existing, imported) {
+  const { partial, ...job } = inJobUnits(existing, imported);
+  const importedIds = new Set(job.stations.map((station) => station.id));
+  const used = new Set();
+  const stations = job.stations.map((station) => {
+    const match = existing.stations.find((item) => item.id === station.id)
+      || existing.stations.find((item) => !used.has(item.id) && !importedIds.has(item.id) && Math.abs(toNum(item.stationFt) - toNum(station.stationFt)) < 0.01);
+    if (!match) return station;
+    used.add(match.id);
+    return { ...station, id: match.id, stationFt: match.stationFt, columnLabel: match.columnLabel, type: match.type };
+  });
+  const ids = new Map(job.stations.map((station, index) => [station.id, stations[index].id]));
+  return {
+    ...syncSnapshot(existing),
+    readingSets: job.readingSets?.length ? job.readingSets : existing.readingSets,
+    history: (job.history || []).map((change) => ({ ...change, stationId: ids.get(change.stationId) || change.stationId })),
+    updatedAt: job.updatedAt,
+    stations
+  };
+}
+
+function csvFields(job) {
+  return [...CSV_FIELDS, ...job.customFields.map((custom) => custom.id)];
+}
+
+function csvFieldName(job, key) {
+  const custom = customField(job, key);
+  return custom ? customFieldLabel(custom) : key;
+}
+
+function csvFieldUnit(job, key) {
+  const units = jobUnits(job);
+  if (key === "stationFt") return units.length;
+  if (ANGLE_FIELDS.includes(key)) return "deg";
+  return MEASUREMENT_FIELDS.includes(key) ? units.offset : "";
+}
+
+function csvHeaderLabel(job, key) {
+  if (isCustomField(key)) return csvFieldName(job, key);
+  const unit = csvFieldUnit(job, key);
+  return unit ? `${key === "stationFt" ? "station" : key} (${unit})` : key;
+}
+
+function csvHeaderUnit(column) {
+  const match = normalizeHeader(column).match(/(?:\((in|mm|cm|m|ft|deg)\)|\s(in|mm|cm|m|ft|deg))$/);
+  return match ? match[1] || match[2] : "";
+}
+
+function csvUnitFactor(job, field, unit) {
+  const target = csvFieldUnit(job, field);
+  if (!unit || !target || unit === target || !(unit in instrumentUnitInches) || !(target in instrumentUnitInches)) return 1;
+  return instrumentUnitInches[unit] / instrumentUnitInches[target];
+}
+
+function convertCsvValues(job, values, pending) {
+  const units = jobUnits(job);
+  pending.mapping.forEach((field, column) => {
+    const factor = field ? csvUnitFactor(job, field, csvHeaderUnit(pending.header[column])) : 1;
+    if (factor === 1 || !values[field]) return;
+    const digits = field === "stationFt" ? units.lengthPrecision : units.offsetPrecision;
+    const shots = parseShots(values[field]);
+    values[field] = shots ? shots.map((shot) => convertValue(shot, factor, digits)).join("; ") : convertValue(values[field], factor, digits);
+  });
+  return values;
+}
+
+function downloadCsv() {
+  const job = activeJob();
+  const header = csvFields(job);
+  const cell = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+  const rows = job.stations.map((station) => header.map((key) => cell(readingEntry(job, station, key))).join(","));
+  const setName = readingSet(job).name.replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase();
+  downloadFile(`survey-stations-${setName || "readings"}.csv`, "text/csv", `${header.map((key) => cell(csvHeaderLabel(job, key))).join(",")}\n${rows.join("\n")}`);
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+function normalizeHeader(value) {
+  return String(value || "").trim().toLowerCase().replace(/[_\-.]+/g, " ").replace(/\s+/g, " ");
+}
+
+function guessCsvMapping(header, job) {
+  const used = new Set();
+  const customNames = (key) => [customFieldLabel(customField(job, key)), customField(job, key).name].map(normalizeHeader);
+  return header.map((column) => {
+    const full = normalizeHeader(column);
+    const unit = csvHeaderUnit(column);
+    const names = unit ? [full, full.slice(0, -(unit.length + (full.endsWith(")") ? 2 : 0))).trim()] : [full];
+    const field = csvFields(job).find((key) => !used.has(key) && names.some((name) => (isCustomField(key)
+      ? customNames(key).includes(name)
+      : normalizeHeader(key) === name || key.toLowerCase() === name.replace(/\s/g, "") || csvFieldAliases[key].includes(name))));
+    if (field) used.add(field);
+    return field || "";
+  });
+}
+
+function csvRowValues(cells, mapping) {
+  return mapping.reduce((values, field, column) => {
+    if (field) values[field] = String(cells[column] ?? "").trim();
+    return values;
+  }, {});
+}
+
+function csvRowProblem(values, job) {
+  if (!Number.isFinite(toNum(values.stationFt, NaN))) return "Station is missing or not a number.";
+  const badField = NUMERIC_CSV_FIELDS.find((field) => values[field] && !Number.isFinite(toNum(values[field], NaN)) && !parseShots(values[field]));
+  if (badField) return `${badField} value "${values[badField]}" is not a number or fraction.`;
+  const badCustom = job.customFields.find((custom) => custom.type === "number" && values[custom.id] && !Number.isFinite(toNum(values[custom.id], NaN)));
+  if (badCustom) return `${badCustom.name} value "${values[badCustom.id]}" is not a number or fraction.`;
+  if (values.type && !STATION_TYPES.some((type) => type.toLowerCase() === values.type.toLowerCase())) return `Unknown station type "${values.type}".`;
+  return "";
+}
+
+function applyCsvValues(job, station, values, mode) {
+  const changed = [];
+  Object.entries(values).forEach(([field, raw]) => {
+    if (field === "stationFt") return;
+    if (!raw && mode === "merge") return;
+    let value = raw;
+    if (field === "type") value = STATION_TYPES.find((type) => type.toLowerCase() === raw.toLowerCase()) || station.type;
+    if (field === "reviewed") value = /^(true|yes|y|1|x)$/i.test(raw);
+    if (readingEntry(job, station, field) === value) return;
+    setReadingEntry(job, station, field, value);
+    changed.push(isCustomField(field) ? customField(job, field).name : field);
+  });
+  return changed;
+}
+
+function planCsvImport(job, pending) {
+  const mode = pending.mode;
+  const stations = mode === "replace" ? [] : structuredClone(job.stations);
+  const seen = new Set();
+  const rows = pending.rows.map((cells, index) => {
+    const values = convertCsvValues(job, csvRowValues(cells, pending.mapping), pending);
+    const line = index + 2;
+    const problem = csvRowProblem(values, job);
+    if (problem) return { line, stationFt: values.stationFt, status: "rejected", detail: problem };
+    const stationFt = Number(toNum(values.stationFt).toFixed(3));
+    if (seen.has(stationFt)) return { line, stationFt, status: "rejected", detail: "Duplicate station in this file." };
+    seen.add(stationFt);
+    const existing = stations.find((station) => Math.abs(toNum(station.stationFt) - stationFt) < 0.001);
+    if (existing) {
+      const changed = applyCsvValues(job, existing, values, mode);
+      return { line, stationFt, status: changed.length ? "updated" : "unchanged", detail: changed.length ? changed.join(", ") : "No changes." };
+    }
+    const station = blankStation(stationFt, stations.length);
+    station.columnLabel = "";
+    const changed = applyCsvValues(job, station, values, "replace");
+    stations.push(station);
+    return { line, stationFt, status: "added", detail: changed.join(", ") || "Station only." };
+  });
+  stations.sort((a, b) => toNum(a.stationFt) - toNum(b.stationFt));
+  return { rows, stations };
+}
+
+async function startCsvImport(file) {
+  const [header, ...rows] = parseCsv(await file.text());
+  if (!header || !rows.length) {
+    alert("That CSV has no station rows to import.");
+    return;
+  }
+  state.csvImport = { fileName: file.name, header, rows, mapping: guessCsvMapping(header, activeJob()), mode: "merge" };
+  renderCsvImport();
+}
+
+function renderCsvImport() {
+  const panel = $("#csvImportPanel");
+  const pending = state.csvImport;
+  panel.hidden = !pending;
+  if (!pending) return;
+  const plan = planCsvImport(activeJob(), pending);
+  const count = (status) => plan.rows.filter((row) => row.status === status).length;
+  $("#csvImportTitle").textContent = `${pending.fileName} - ${pending.rows.length} row(s)`;
+  $("#csvImportMode").value = pending.mode;
+  const unitNote = (column, index) => {
+    const unit = csvHeaderUnit(column);
+    const field = pending.mapping[index];
+    return field && csvUnitFactor(activeJob(), field, unit) !== 1 ? ` <small>${escapeHtml(unit)} converted to ${escapeHtml(csvFieldUnit(activeJob(), field))}</small>` : "";
+  };
+  $("#csvMapping").innerHTML = pending.header.map((column, index) => `
+    <label class="field">
+      <span>${escapeHtml(column || `Column ${index + 1}`)}${unitNote(column, index)}</span>
+      <select data-csv-column="${index}">
+        <option value="">Ignore</option>
+        ${csvFields(activeJob()).map((field) => `<option value="${escapeHtml(field)}" ${pending.mapping[index] === field ? "selected" : ""}>${escapeHtml(csvFieldName(activeJob(), field))}</option>`).join("")}
+      </select>
+    </label>`).join("");
+  $("#csvImportSummary").innerHTML = [
+    ["Added", count("added")],
+    ["Updated", count("updated")],
+    ["Unchanged", count("unchanged")],
+    ["Rejected", count("rejected")]
+  ].map(([label, value]) => `<div class="metric"><span>${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>`).join("");
+  $("#csvPreviewTable").innerHTML = plan.rows.map((row) => `
+    <tr class="import-${row.status}">
+      <td>${row.line}</td>
+      <td>${escapeHtml(row.stationFt ?? "")}</td>
+      <td><span class="result-pill ${row.status === "rejected" ? "fail" : "pass"}">${row.status.toUpperCase()}</span></td>
+      <td>${escapeHtml(row.detail)}</td>
+    </tr>`).join("");
+  $("#applyCsvImportButton").disabled = !pending.mapping.includes("stationFt") || !plan.rows.some((row) => row.status === "added" || row.status === "updated");
+}
+
+function applyCsvImport() {
+  const job = activeJob();
+  const pending = state.csvImport;
+  if (!pending) return;
+  if (pending.mode === "replace" && !confirm("Replace all stations on this job with the imported rows? Existing station measurements will be removed.")) return;
+  changeStations(job, "CSV import", `Imported ${pending.fileName} (${pending.mode})`, () => {
+    job.stations = planCsvImport(job, pending).stations;
+  });
+  state.csvImport = null;
+  state.currentStationIndex = 0;
+  renderCsvImport();
+  renderAll();
+}
+
+function parseSurveyText(text) {
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  if (source.includes(",")) return parseCsv(source).map((cells) => cells.map((cell) => cell.trim()));
+  return source.split(/\r?\n/).map((line) => line.trim()).filter(Boolean).map((line) => line.split(/\s+/));
+}
+
+function surveyColumns(header, keys) {
+  const names = header.map(normalizeHeader);
+  return Object.fromEntries(keys.map((key) => [key, names.findIndex((name) => surveyColumnAliases[key].includes(name))]));
+}
+
+function detectSurveyFormat(rows) {
+  const columns = surveyColumns(rows[0] || [], ["bs", "fs"]);
+  return columns.bs >= 0 || columns.fs >= 0 ? "levelBook" : "coordinates";
+}
+
+function surveyNumber(value) {
+  const text = String(value ?? "").trim();
+  return text && Number.isFinite(Number(text)) ? Number(text) : NaN;
+}
+
+function surveyPointTag(id) {
+  const match = String(id).trim().match(/^(?:rail\s*)?([ab])(?![a-z])[\s\-_:.]*(\d+(?:\.\d+)?)?/i);
+  return match ? { side: match[1].toUpperCase(), stationFt: match[2] === undefined ? NaN : Number(match[2]) } : null;
+}
+
+function readSurveyPoints(rows, format) {
+  const keys = format === "levelBook" ? ["id", "bs", "is", "fs", "rl"] : ["id", "n", "e", "z"];
+  let columns = surveyColumns(rows[0] || [], keys);
+  let first = 1;
+  if (format === "coordinates" && [columns.n, columns.e].some((index) => index < 0)) {
+    columns = { id: 0, n: 1, e: 2, z: 3 };
+    first = Number.isFinite(surveyNumber(rows[0]?.[1])) ? 0 : 1;
+  }
+  const points = [];
+  const problems = [];
+  let instrumentHeight = NaN;
+  rows.slice(first).forEach((cells, offset) => {
+    const line = first + offset + 1;
+    const value = (key) => (columns[key] >= 0 ? surveyNumber(cells[columns[key]]) : NaN);
+    const id = String(cells[columns.id] ?? "").trim() || `Line ${line}`;
+    if (format === "coordinates") {
+      if (!Number.isFinite(value("n")) || !Number.isFinite(value("e"))) problems.push({ line, id, reason: "Missing northing or easting." });
+      else points.push({ line, id, n: value("n"), e: value("e"), z: value("z") });
+      return;
+    }
+    const sight = Number.isFinite(value("fs")) ? value("fs") : value("is");
+    const level = Number.isFinite(sight) ? instrumentHeight - sight : value("rl");
+    if (!Number.isFinite(level)) {
+      problems.push({ line, id, reason: Number.isFinite(sight) ? "No height of instrument yet. Enter the benchmark RL with the first backsight." : "No sight or reduced level on this row." });
+      return;
+    }
+    if (Number.isFinite(value("bs"))) instrumentHeight = level + value("bs");
+    points.push({ line, id, z: level });
+  });
+  return { points, problems };
+}
+
+async function startSurveyImport(file) {
+  const rows = parseSurveyText(await file.text());
+  if (!rows.length) {
+    alert("That survey file has no points to import.");
+    return;
+  }
+  const job = activeJob();
+  state.surveyImport = {
+    fileName: file.name,
+    rows,
+    units: "ft",
+    elevationRef: "",
+    startStationFt: String(toNum(job.startStationFt, 0)),
+    matchTolFt: String(Math.max(1, toNum(job.stationSpacingFt, 25)) / 2)
+  };
+  setSurveyFormat(detectSurveyFormat(rows));
+  renderSurveyImport(true);
+}
+
+function setSurveyFormat(format) {
+  const pending = state.surveyImport;
+  Object.assign(pending, { format }, readSurveyPoints(pending.rows, format));
+  const railA = pending.points.filter((point) => surveyPointTag(point.id)?.side === "A");
+  const candidates = railA.length >= 2 ? railA : pending.points;
+  pending.startId = candidates[0]?.id || "";
+  pending.endId = candidates[candidates.length - 1]?.id || "";
+}
+
+function surveyValue(value) {
+  return String(Number(value.toFixed(3)));
+}
+
+function locateSurveyPoints(job, pending) {
+  const units = jobUnits(job);
+  const perUnit = (surveyUnitInches[pending.units] || 12) * units.perInch;
+  const reference = String(pending.elevationRef || "").trim();
+  if (pending.format === "levelBook") {
+    const zRef = reference ? toNum(reference, NaN) : pending.points[0]?.z;
+    return { located: pending.points.map((point) => ({ point, stationFt: surveyPointTag(point.id)?.stationFt ?? NaN, left: NaN, elev: (point.z - zRef) * perUnit })) };
+  }
+  const start = pending.points.find((point) => point.id === pending.startId);
+  const end = pending.points.find((point) => point.id === pending.endId);
+  const length = start && end ? Math.hypot(end.e - start.e, end.n - start.n) : 0;
+  if (!length) return { located: [], error: "Choose two different baseline points." };
+  const ux = (end.e - start.e) / length;
+  const uy = (end.n - start.n) / length;
+  const zRef = reference ? toNum(reference, NaN) : start.z;
+  return {
+    located: pending.points.map((point) => {
+      const dx = point.e - start.e;
+      const dy = point.n - start.n;
+      return {
+        point,
+        stationFt: toNum(pending.startStationFt, 0) + ((dx * ux + dy * uy) * perUnit) / units.offsetsPerLength,
+        left: (dy * ux - dx * uy) * perUnit,
+        elev: (point.z - zRef) * perUnit
+      };
+    })
+  };
+}
+
+function planSurveyImport(job, pending) {
+  const unmatched = [...pending.problems];
+  const { located, error } = locateSurveyPoints(job, pending);
+  const tolerance = Math.abs(toNum(pending.matchTolFt, 0));
+  const matches = new Map();
+  const reject = (entry, reason) => unmatched.push({ line: entry.point.line, id: entry.point.id, reason });
+  located.forEach((entry) => {
+    const tag = surveyPointTag(entry.point.id);
+    if (!tag) return reject(entry, "No rail side in the point ID. Start rail shots with A or B.");
+    if (!Number.isFinite(entry.stationFt)) return reject(entry, "No station in the point ID (for example A-125).");
+    const nearest = job.stations.reduce((best, station, index) => {
+      const distance = Math.abs(toNum(station.stationFt) - entry.stationFt);
+      return !best || distance < best.distance ? { index, distance } : best;
+    }, null);
+    if (!nearest) return reject(entry, "The job has no stations.");
+    const label = lengthText(job, job.stations[nearest.index].stationFt);
+    if (nearest.distance > tolerance) return reject(entry, `Lands at ${lengthText(job, entry.stationFt)}; nearest station ${label} is ${lengthText(job, nearest.distance)} away.`);
+    const key = `${nearest.index}:${tag.side}`;
+    const candidate = { ...entry, side: tag.side, index: nearest.index, distance: nearest.distance };
+    const existing = matches.get(key);
+    if (existing && existing.distance <= candidate.distance) return reject(candidate, `Point ${existing.point.id} is closer to station ${label} on rail ${tag.side}.`);
+    if (existing) reject(existing, `Point ${candidate.point.id} is closer to station ${label} on rail ${tag.side}.`);
+    matches.set(key, candidate);
+  });
+
+  const kept = [...matches.values()];
+  const side = (name) => kept.filter((entry) => entry.side === name && Number.isFinite(entry.left)).sort((a, b) => a.stationFt - b.stationFt);
+  const mean = (entries) => entries.reduce((sum, entry) => sum + entry.left, 0) / entries.length;
+  const [sideA, sideB] = [side("A"), side("B")];
+  const outwardA = sideA.length && sideB.length ? Math.sign(mean(sideA) - mean(sideB)) || 1 : 1;
+  const outward = { A: outwardA, B: -outwardA };
+  const reference = { A: sideA[0]?.left, B: sideB[0]?.left };
+
+  const rows = [...new Set(kept.map((entry) => entry.index))].sort((a, b) => a - b).map((index) => {
+    const station = job.stations[index];
+    const values = {};
+    const points = [];
+    const [a, b] = ["A", "B"].map((name) => matches.get(`${index}:${name}`));
+    [a, b].filter(Boolean).forEach((entry) => {
+      points.push(entry.point.id);
+      if (Number.isFinite(entry.left)) values[`rail${entry.side}`] = surveyValue(outward[entry.side] * (entry.left - reference[entry.side]));
+      if (Number.isFinite(entry.elev)) values[`elev${entry.side}`] = surveyValue(entry.elev);
+    });
+    if (Number.isFinite(a?.left) && Number.isFinite(b?.left)) values.span = surveyValue(Math.abs(a.left - b.left));
+    const replaced = Object.keys(values).filter((field) => {
+      const current = stationValue(job, station, field);
+      return current !== "" && current !== undefined && current !== values[field];
+    });
+    return {
+      station,
+      points,
+      values,
+      detail: replaced.length ? `Replaces ${replaced.map((field) => `${field} ${stationValue(job, station, field)}`).join(", ")}` : "New values"
+    };
+  });
+  return { rows, unmatched: unmatched.sort((a, b) => a.line - b.line), error };
+}
+
+function renderSurveyImport(syncControls = false) {
+  const panel = $("#surveyImportPanel");
+  const pending = state.surveyImport;
+  panel.hidden = !pending;
+  if (!pending) return;
+  const plan = planSurveyImport(activeJob(), pending);
+  const coordinates = pending.format === "coordinates";
+  $("#surveyImportTitle").textContent = `${pending.fileName} - ${pending.points.length} point(s)`;
+  $$("[data-survey-format]", panel).forEach((field) => {
+    field.hidden = field.dataset.surveyFormat !== pending.format;
+  });
+  if (syncControls) {
+    const options = pending.points.map((point) => `<option value="${escapeHtml(point.id)}">${escapeHtml(point.id)}</option>`).join("");
+    $("#surveyStartPoint").innerHTML = options;
+    $("#surveyEndPoint").innerHTML = options;
+    $("#surveyFormat").value = pending.format;
+    $$("[data-survey-option]", panel).forEach((control) => {
+      control.value = pending[control.dataset.surveyOption] ?? "";
+    });
+  }
+  $("#surveyElevationRef").placeholder = coordinates ? "Baseline start Z" : "First benchmark RL";
+  $("#surveyImportNote").textContent = plan.error || (coordinates
+    ? "Stations run along the baseline from its start point. Rail offsets are measured from a line parallel to the baseline through each rail's first shot, positive away from the runway centerline. Span is the rail-to-rail distance square to the baseline."
+    : "Point IDs carry the rail and station, for example A-125 or B125.5. Levels are reduced by height of instrument from the first benchmark RL.");
+  $("#surveyImportSummary").innerHTML = [
+    ["Points", pending.points.length],
+    ["Matched Stations", plan.rows.length],
+    ["Values", plan.rows.reduce((sum, row) => sum + Object.keys(row.values).length, 0)],
+    ["Unmatched Points", plan.unmatched.length]
+  ].map(([label, value]) => `<div class="metric"><span>${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>`).join("");
+  $("#surveyPreviewTable").innerHTML = plan.rows.length
+    ? plan.rows.map((row) => `
+      <tr>
+        <td>${escapeHtml(stationLabel(row.station))}</td>
+        <td>${escapeHtml(row.points.join(", "))}</td>
+        ${["railA", "railB", "elevA", "elevB", "span"].map((field) => `<td>${escapeHtml(row.values[field] ?? "")}</td>`).join("")}
+        <td>${escapeHtml(row.detail)}</td>
+      </tr>`).join("")
+    : `<tr><td colspan="8">No points match a station yet.</td></tr>`;
+  $("#surveyUnmatched").hidden = !plan.unmatched.length;
+  $("#surveyUnmatchedTable").innerHTML = plan.unmatched.map((item) => `
+    <tr class="import-rejected">
+      <td>${item.line}</td>
+      <td>${escapeHtml(item.id)}</td>
+      <td>${escapeHtml(item.reason)}</td>
+    </tr>`).join("");
+  $("#applySurveyImportButton").disabled = !plan.rows.length;
+}
+
+function applySurveyImport() {
+  const job = activeJob();
+  const pending = state.surveyImport;
+  if (!pending) return;
+  const plan = planSurveyImport(job, pending);
+  if (!plan.rows.length) return;
+  if (plan.unmatched.length && !confirm(`${plan.unmatched.length} point(s) did not match a station and will not be imported. Continue?`)) return;
+  changeStations(job, "survey import", `Imported ${pending.fileName} into ${plan.rows.length} station(s) of ${readingSet(job).name}`, () => {
+    plan.rows.forEach((row) => {
+      Object.entries(row.values).forEach(([field, value]) => setReadingEntry(job, row.station, field, value));
+    });
+  });
+  state.surveyImport = null;
+  renderSurveyImport();
+  renderAll();
+}
+
+function instrumentSettings() {
+  try {
+    return { driver: "simulated", units: "in", baudRate: "9600", trigger: "", ...JSON.parse(localStorage.getItem(INSTRUMENT_KEY) || "{}") };
+  } catch {
+    return { driver: "simulated", units: "in", baudRate: "9600", trigger: "" };
+  }
+}
+
+function saveInstrumentSettings(changes) {
+  localStorage.setItem(INSTRUMENT_KEY, JSON.stringify({ ...instrumentSettings(), ...changes }));
+}
+
+function createLineSplitter(onLine) {
+  let buffer = "";
+  let timer = null;
+  const flush = () => {
+    if (buffer.trim()) onLine(buffer);
+    buffer = "";
+  };
+  return (text) => {
+    clearTimeout(timer);
+    const lines = (buffer + text).split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+    lines.filter((line) => line.trim()).forEach(onLine);
+    timer = setTimeout(flush, INSTRUMENT_LINE_IDLE_MS);
+  };
+}
+
+async function connectSimulatedInstrument(settings, onLine) {
+  let count = 0;
+  return {
+    id: "SIM-0001",
+    name: "Simulated instrument",
+    async trigger({ field, job }) {
+      count += 1;
+      const angle = ANGLE_FIELDS.includes(field);
+      const noise = (Math.random() - 0.5) * 0.3 * (angle ? 1 : jobUnits(job).perInch);
+      const value = field === "span" ? toNum(job.referenceSpanIn, 0) + noise : noise;
+      setTimeout(() => onLine(`SIM,${count},${value.toFixed(3)}${angle ? "" : ` ${jobUnits(job).offset}`}`), 120);
+    },
+    async disconnect() {}
+  };
+}
+
+async function connectSerialInstrument(settings, onLine, onClose) {
+  if (!("serial" in navigator)) throw new Error("Web Serial is not available in this browser. Use Chrome or Edge");
+  const port = await navigator.serial.requestPort();
+  await port.open({ baudRate: Math.max(300, toNum(settings.baudRate, 9600)) });
+  const info = port.getInfo?.() || {};
+  const hex = (value) => Number(value).toString(16).padStart(4, "0").toUpperCase();
+  const id = info.usbVendorId ? `USB ${hex(info.usbVendorId)}:${hex(info.usbProductId)}` : "Serial port";
+  const decoder = new TextDecoderStream();
+  const readableClosed = port.readable.pipeTo(decoder.writable).catch(() => {});
+  const reader = decoder.readable.getReader();
+  const push = createLineSplitter(onLine);
+  const reading = (async () => {
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        push(value);
+      }
+    } catch (error) {
+      console.warn("Instrument stream closed.", error);
+    }
+    onClose();
+  })();
+  return {
+    id,
+    name: `Serial instrument ${id}`,
+    async trigger() {
+      if (!settings.trigger) return;
+      const writer = port.writable.getWriter();
+      try {
+        await writer.write(new TextEncoder().encode(`${settings.trigger}\r\n`));
+      } finally {
+        writer.releaseLock();
+      }
+    },
+    async disconnect() {
+      await reader.cancel().catch(() => {});
+      await readableClosed;
+      await reading;
+      await port.close().catch(() => {});
+    }
+  };
+}
+
+async function connectBluetoothInstrument(settings, onLine, onClose) {
+  if (!navigator.bluetooth) throw new Error("Web Bluetooth is not available in this browser. Use Chrome or Edge");
+  const device = await navigator.bluetooth.requestDevice({ filters: [{ services: [BLE_UART_SERVICE] }] });
+  const service = await (await device.gatt.connect()).getPrimaryService(BLE_UART_SERVICE);
+  const notify = await service.getCharacteristic(BLE_UART_TX);
+  const command = await service.getCharacteristic(BLE_UART_RX).catch(() => null);
+  const decoder = new TextDecoder();
+  const push = createLineSplitter(onLine);
+  notify.addEventListener("characteristicvaluechanged", (event) => push(decoder.decode(event.target.value, { stream: true })));
+  await notify.startNotifications();
+  device.addEventListener("gattserverdisconnected", onClose);
+  return {
+    id: device.id,
+    name: device.name || "Bluetooth instrument",
+    async trigger() {
+      if (command && settings.trigger) await command.writeValue(new TextEncoder().encode(`${settings.trigger}\r\n`));
+    },
+    async disconnect() {
+      device.removeEventListener("gattserverdisconnected", onClose);
+      device.gatt.disconnect();
+    }
+  };
+}
+
+function parseGsiReading(text) {
+  const words = [...text.matchAll(/(\d{2,3})([.\d]{3,4})([+-])(\d{8}(?:\d{8})?)/g)]
+    .filter((match) => match[1].length + match[2].length === 6 && gsiUnits[match[2].slice(-1)]);
+  const word = gsiWordPriority.map((index) => words.find((match) => match[1] === index)).find(Boolean);
+  if (!word) return null;
+  const [unit, factor] = gsiUnits[word[2].slice(-1)];
+  return { value: Number(`${word[3]}${Number(word[4]) * factor}`), unit, raw: text };
+}
+
+function parseInstrumentReading(line, defaultUnits) {
+  const text = String(line).trim();
+  const gsi = parseGsiReading(text);
+  if (gsi) return gsi;
+  const feetInches = text.match(/([-+])?(\d+)'\s*(\d+(?:\.\d+)?)"/);
+  if (feetInches) return { value: (feetInches[1] === "-" ? -1 : 1) * (Number(feetInches[2]) * 12 + Number(feetInches[3])), unit: "in", raw: text };
+  const numbers = [...text.matchAll(/([-+]?\d*\.?\d+)\s*(mm|cm|m|ft|in|'|")?(?![\w.])/gi)];
+  if (!numbers.length) return null;
+  const match = numbers.find((item) => item[2]) || numbers[numbers.length - 1];
+  const unit = { "'": "ft", '"': "in" }[match[2]] || (match[2] || defaultUnits).toLowerCase();
+  return { value: Number(match[1]), unit, raw: text };
+}
+
+function captureFields(job) {
+  const crew = activeCrew(job);
+  return crew ? crewFields(crew) : MEASUREMENT_FIELDS;
+}
+
+function captureField(job, station) {
+  if (state.captureField?.stationId === station.id) return state.captureField.field;
+  const view = stationView(job, station);
+  const fields = captureFields(job);
+  return fields.find((field) => view[field] === "" || view[field] === undefined) || fields[0];
+}
+
+async function connectInstrument() {
+  const settings = instrumentSettings();
+  const driver = instrumentDrivers[settings.driver] || instrumentDrivers.simulated;
+  const onClose = () => {
+    state.instrument = null;
+    state.instrumentStatus = "Instrument disconnected.";
+    renderInstrument();
+    renderStationCards();
+  };
+  state.instrumentStatus = `Connecting to ${driver.label}...`;
+  renderInstrument();
+  try {
+    state.instrument = await driver.connect(settings, handleInstrumentLine, onClose);
+    state.instrumentStatus = `Connected to ${state.instrument.name}. Readings go into the highlighted field.`;
+  } catch (error) {
+    state.instrument = null;
+    state.instrumentStatus = `Could not connect (${error?.message || error}).`;
+  }
+  renderInstrument();
+  renderStationCards();
+}
+
+async function disconnectInstrument() {
+  const instrument = state.instrument;
+  state.instrument = null;
+  state.instrumentStatus = "Instrument disconnected.";
+  await instrument?.disconnect().catch(() => {});
+  renderInstrument();
+  renderStationCards();
+}
+
+async function triggerInstrument() {
+  const job = activeJob();
+  const station = job.stations[state.currentStationIndex];
+  if (!state.instrument || !station) return;
+  try {
+    await state.instrument.trigger({ field: captureField(job, station), job });
+  } catch (error) {
+    state.instrumentStatus = `The reading could not be triggered (${error?.message || error}).`;
+    renderInstrument();
+  }
+}
+
+function handleInstrumentLine(line) {
+  const instrument = state.instrument;
+  if (!instrument) return;
+  const reading = parseInstrumentReading(line, instrumentSettings().units);
+  if (!reading || !Number.isFinite(reading.value)) {
+    state.instrumentStatus = `Ignored "${String(line).trim().slice(0, 40)}" from ${instrument.name}.`;
+    renderInstrument();
+    return;
+  }
+  captureReading(reading, instrument);
+}
+
+function captureReading(reading, instrument) {
+  const job = activeJob();
+  const index = state.currentStationIndex;
+  const station = job.stations[index];
+  if (!station) return;
+  const field = captureField(job, station);
+  const value = ANGLE_FIELDS.includes(field) ? reading.value : reading.value * (instrumentUnitInches[reading.unit] || 1) * jobUnits(job).perInch;
+  const text = String(Number(value.toFixed(3)));
+  const at = new Date().toISOString();
+  const wanted = Math.max(1, Math.round(toNum(job.shotsPerReading, 1)));
+  const pending = state.captureShots?.stationId === station.id && state.captureShots.field === field ? state.captureShots.shots : [];
+  const shots = [...pending, text];
+  state.captureShots = shots.length < wanted ? { stationId: station.id, field, shots } : null;
+  updateStation(index, field, shots.join("; "), { render: "quiet", action: "capture", capture: { instrumentId: instrument.id, instrumentName: instrument.name, at, raw: reading.raw } });
+  const fields = captureFields(job);
+  const next = fields[fields.indexOf(field) + 1];
+  const stamp = `${field} = ${text} at ${stationLabel(station)} from ${instrument.name}, ${new Date(at).toLocaleTimeString()}.`;
+  if (state.captureShots) {
+    state.captureField = { stationId: station.id, field };
+    state.instrumentStatus = `${stamp} Shot ${shots.length} of ${wanted}; take the next shot.`;
+  } else {
+    const flag = validateReading(job, station, field);
+    const held = flag?.status === "flagged";
+    state.captureField = { stationId: station.id, field: held ? field : next || field };
+    state.instrumentStatus = `${stamp} ${held ? `Check this reading: ${flag.reason} Confirm it on the card or take the reading again.` : next ? `Next: ${next}.` : "Last field on this card."}`;
+  }
+  renderStationCards();
+  renderCompletion();
+  scheduleReviewRefresh();
+  renderInstrument();
+}
+
+function renderInstrument() {
+  const settings = instrumentSettings();
+  $("#instrumentDriver").value = settings.driver;
+  $("#instrumentUnits").value = settings.units;
+  $("#instrumentBaud").value = settings.baudRate;
+  $("#instrumentTrigger").value = settings.trigger;
+  $$("[data-instrument-driver]").forEach((field) => {
+    field.hidden = field.dataset.instrumentDriver !== settings.driver;
+  });
+  $("#instrumentDriver").disabled = Boolean(state.instrument);
+  $("#connectInstrumentButton").textContent = state.instrument ? "Disconnect" : "Connect";
+  $("#readInstrumentButton").disabled = !state.instrument;
+  $("#instrumentStatus").textContent = state.instrumentStatus || "No instrument connected. Type readings or connect an instrument.";
+}
+
+function renderCaptureTags(card, job, station) {
+  const tags = station.captures?.[job.activeSetId] || {};
+  $$("[data-capture-for]", card).forEach((label) => {
+    const tag = tags[label.dataset.captureFor];
+    label.hidden = !tag;
+    label.textContent = tag ? `${tag.instrumentName}${tag.instrumentId !== tag.instrumentName ? ` (${tag.instrumentId})` : ""}, ${new Date(tag.at).toLocaleString()}` : "";
+  });
+}
+
+function renderShotSummaries(card, job, station) {
+  $$("[data-shots-for]", card).forEach((label) => {
+    const field = label.dataset.shotsFor;
+    const spread = shotSpread(job, station, field);
+    label.hidden = !spread;
+    label.classList.toggle("over", Boolean(spread?.over));
+    label.textContent = spread
+      ? `${spread.count} shots, ${job.shotCombine === "median" ? "median" : "mean"} ${readingText(job, field, toNum(stationValue(job, station, field)))}, spread ${readingText(job, field, spread.spread)}${spread.over ? ` exceeds the ${readingText(job, field, spread.limit)} repeatability limit` : ""}`
+      : "";
+  });
+}
+
+function renderReadingFlags(card, job, station) {
+  const flags = readingFlags(job, station);
+  $$("[data-flag-for]", card).forEach((label) => {
+    const field = label.dataset.flagFor;
+    const flag = flags[field];
+    label.hidden = !flag;
+    label.textContent = flag ? readingFlagStatuses[flag.status] : "";
+    label.className = `reading-flag ${flag?.status || ""}`;
+    label.closest(".field").classList.toggle("flagged-reading", flag?.status === "flagged");
+  });
+  const pending = Object.entries(flags).filter(([, flag]) => flag.status === "flagged");
+  const panel = $(".reading-flags", card);
+  panel.hidden = !pending.length;
+  panel.innerHTML = pending.map(([field, flag]) => `
+    <div class="reading-flag-item">
+      <p><strong>Check ${escapeHtml(readingLabels[field])}:</strong> ${escapeHtml(flag.reason)}</p>
+      <div class="toolbar">
+        <button type="button" data-confirm-reading="${field}">Confirm Reading</button>
+        <button class="primary" type="button" data-reshoot-reading="${field}">Re-shoot</button>
+      </div>
+    </div>`).join("");
+}
+
+function copySummary() {
+  const job = activeJob();
+  const results = evaluateJob(job);
+  const text = `${jobTitle(job)}\nReading set: ${readingSet(job).name}\nStations: ${job.stations.length}\nReviewed: ${stationViews(job).filter((station) => station.reviewed).length}/${job.stations.length}\nOut-of-tolerance checks: ${results.failures.length}`;
+  navigator.clipboard?.writeText(text);
+}
+
+function setTab(id) {
+  $$(".tab").forEach((tab) => {
+    const isActive = tab.dataset.tab === id;
+    tab.classList.toggle("active", isActive);
     if (isActive) tab.setAttribute("aria-current", "step");
     else tab.removeAttribute("aria-current");
   });
@@ -704,85 +4847,512 @@ function continueFromSetup() {
 function attachEvents() {
   bindInputs();
 
-  $("#jobSelect").addEventListener("change", (event) => {
-    state.activeId = event.target.value;
-    state.currentStationIndex = 0;
-    saveJobs();
-    renderAll();
+  $("#jobSelect").addEventListener("change", (event) => openJob(event.target.value));
+
+  $("#dashboardButton").addEventListener("click", () => showDashboard($("#dashboardView").hidden));
+  $("#closeDashboardButton").addEventListener("click", () => showDashboard(false));
+  $("#dashboardSearch").addEventListener("input", renderDashboard);
+  $("#dashboardFilter").addEventListener("change", renderDashboard);
+  $("#dashboardSort").addEventListener("change", renderDashboard);
+
+  $("#dashboardTable").addEventListener("click", (event) => {
+    const openId = event.target.closest("[data-open-job]")?.dataset.openJob;
+    if (openId) {
+      openJob(openId);
+      showDashboard(false);
+      return;
+    }
+    const archiveId = event.target.closest("[data-archive-job]")?.dataset.archiveJob;
+    const job = state.jobs.find((item) => item.id === archiveId);
+    if (!job) return;
+    job.archived = !job.archived;
+    job.archivedAt = job.archived ? new Date().toISOString() : "";
+    touchJob(job);
+    renderJobSelect();
+    renderDashboard();
+  });
+
+  $("#dashboardTable").addEventListener("change", (event) => {
+    const id = event.target.dataset.compareJob;
+    if (!id) return;
+    if (event.target.checked) state.compareJobIds.add(id);
+    else state.compareJobIds.delete(id);
+    renderCompareButton();
+  });
+
+  $("#compareJobsButton").addEventListener("click", () => {
+    state.showComparison = true;
+    renderJobComparison();
+    $("#dashboardCompare").scrollIntoView({ behavior: "smooth", block: "start" });
+  });
+
+  $("#dashboardCompare").addEventListener("click", (event) => {
+    if (!event.target.closest("#closeComparisonButton")) return;
+    state.showComparison = false;
+    renderJobComparison();
   });
 
   $("#newJobButton").addEventListener("click", () => {
-    const job = createJob();
+    const job = createJobFromTemplate(findTemplate($("#jobTemplateSelect").value));
     state.jobs.unshift(job);
     state.activeId = job.id;
     state.currentStationIndex = 0;
-    saveJobs();
+    queueSave(job);
+    saveActiveId();
+    renderAll();
+  });
+
+  $("#jobTemplateSelect").addEventListener("change", renderTemplateLibrary);
+
+  $("#saveTemplateButton").addEventListener("click", async () => {
+    const job = activeJob();
+    const name = prompt("Name for this job template", [job.customer, job.facilityLocation, job.serviceBay].filter(Boolean).join(" - ") || "Job template")?.trim();
+    if (!name) return;
+    const existing = state.templates.find((template) => template.name.toLowerCase() === name.toLowerCase());
+    if (existing && !confirm(`Replace the template "${existing.name}" with this job's setup, layout and tolerances? Its version number will increase.`)) return;
+    const template = templateFromJob(job, existing || { name });
+    state.templates = [...state.templates.filter((item) => item !== existing), template].sort((a, b) => a.name.localeCompare(b.name));
+    await saveTemplates();
+    renderTemplateLibrary();
+    $("#jobTemplateSelect").value = template.id;
+    renderTemplateLibrary();
+  });
+
+  $("#deleteTemplateButton").addEventListener("click", async () => {
+    const template = findTemplate($("#jobTemplateSelect").value);
+    if (!template || !confirm(`Delete the job template "${template.name}" from this device? Jobs already created from it are kept.`)) return;
+    state.templates = state.templates.filter((item) => item.id !== template.id);
+    await saveTemplates(template.id);
+    $("#jobTemplateSelect").value = "";
+    renderTemplateLibrary();
+  });
+
+  $("#exportTemplatesButton").addEventListener("click", exportTemplates);
+
+  $("#importTemplatesInput").addEventListener("change", async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      const count = await importTemplates(file);
+      renderTemplateLibrary();
+      alert(`Imported ${count} job template(s).`);
+    } catch {
+      alert("That file could not be imported. Use a template export from this app.");
+    } finally {
+      event.target.value = "";
+    }
+  });
+
+  $("#readingSetSelect").addEventListener("change", (event) => {
+    const job = activeJob();
+    job.activeSetId = event.target.value;
+    touchJob(job);
+    renderAll();
+  });
+
+  $("#newReadingSetButton").addEventListener("click", () => {
+    const job = activeJob();
+    const name = prompt("Name for the new reading set", job.readingSets.length === 1 ? "As Left" : `Survey ${job.readingSets.length + 1}`)?.trim();
+    if (!name) return;
+    addReadingSet(job, name);
+    logHistory(job, { action: "set", summary: `Started reading set "${name}"` });
+    touchJob(job);
     renderAll();
   });
 
-  $("#duplicateJobButton").addEventListener("click", () => {
+  $("#charts").addEventListener("pointerover", (event) => {
+    const point = event.target.closest(".chart-point");
+    if (point) showChartTooltip(point);
+  });
+
+  $("#charts").addEventListener("pointerout", (event) => {
+    const point = event.target.closest(".chart-point");
+    if (point) $(".chart-tooltip", point.closest(".chart-frame")).hidden = true;
+  });
+
+  $("#charts").addEventListener("pointerdown", (event) => {
+    const svg = event.target.closest("svg[data-min-x]");
+    if (!svg || (event.pointerType === "mouse" && event.button !== 0)) return;
+    const chart = $$("#charts svg[data-min-x]").indexOf(svg);
+    const gesture = state.chartGesture?.pointers.size ? state.chartGesture : { pointers: new Map(), chart, frame: chartFrame(svg), startX: event.clientX, moved: false };
+    if (gesture.pointers.size) {
+      gesture.frame = chartFrame(svg);
+      gesture.startDistance = 0;
+    }
+    gesture.pointers.set(event.pointerId, event.clientX);
+    state.chartGesture = gesture;
+  });
+
+  $("#charts").addEventListener("pointermove", chartGestureMove);
+
+  ["pointerup", "pointercancel"].forEach((type) => {
+    $("#charts").addEventListener(type, (event) => {
+      const gesture = state.chartGesture;
+      if (!gesture) return;
+      gesture.pointers.delete(event.pointerId);
+      if (gesture.pointers.size === 1) {
+        gesture.frame = chartFrame($$("#charts svg[data-min-x]")[gesture.chart]);
+        gesture.startX = [...gesture.pointers.values()][0];
+        gesture.startDistance = 0;
+      }
+    });
+  });
+
+  $("#charts").addEventListener("click", (event) => {
+    const moved = state.chartGesture?.moved;
+    state.chartGesture = null;
+    const point = event.target.closest(".chart-point");
+    if (moved || !point) return;
+    setTab("stations");
+    focusStation(Number(point.dataset.stationIndex));
+  });
+
+  $("#charts").addEventListener("wheel", (event) => {
+    const svg = event.target.closest("svg[data-min-x]");
+    if (!svg || !event.ctrlKey) return;
+    event.preventDefault();
+    const frame = chartFrame(svg);
+    zoomCharts(frame, chartX(frame, event.clientX), event.deltaY > 0 ? CHART_ZOOM_STEP : 1 / CHART_ZOOM_STEP);
+  }, { passive: false });
+
+  $("#charts").addEventListener("dblclick", (event) => {
+    if (!event.target.closest("svg[data-min-x]")) return;
+    state.chartRange = null;
+    renderCharts();
+  });
+
+  [["#zoomChartsInButton", 1 / CHART_ZOOM_STEP], ["#zoomChartsOutButton", CHART_ZOOM_STEP]].forEach(([selector, factor]) => {
+    $(selector).addEventListener("click", () => {
+      const svg = $("#charts svg[data-min-x]");
+      if (!svg) return;
+      const frame = chartFrame(svg);
+      zoomCharts(frame, (frame.minX + frame.maxX) / 2, factor);
+    });
+  });
+
+  $("#downloadPlanSvgButton").addEventListener("click", () => downloadPlanView("svg"));
+  $("#downloadPlanDxfButton").addEventListener("click", () => downloadPlanView("dxf"));
+
+  $("#resetChartZoomButton").addEventListener("click", () => {
+    state.chartRange = null;
+    renderCharts();
+  });
+
+  $("#linkSurveyButton").addEventListener("click", () => {
+    const other = state.jobs.find((job) => job.id === $("#trendLinkSelect").value);
+    if (!other) return;
+    linkRunwaySurvey(activeJob(), other);
+    renderEvaluation();
+    renderHistory();
+  });
+
+  $("#trendBaselineSelect").addEventListener("change", (event) => {
+    const job = activeJob();
+    job.trendBaselineId = event.target.value;
+    touchJob(job);
+    renderEvaluation();
+  });
+
+  $("#unlinkSurveyButton").addEventListener("click", () => {
+    unlinkRunwaySurvey(activeJob());
+    renderEvaluation();
+    renderHistory();
+  });
+
+  $("#duplicateJobButton").addEventListener("click", async () => {
     const original = activeJob();
-    const copy = createJob({ ...structuredClone(original), projectName: `${original.projectName || "Survey"} Copy` });
+    const copy = createJob({ ...structuredClone(original), sync: null, projectName: `${original.projectName || "Survey"} Copy` });
+    try {
+      await copyAttachments(copy, await jobAttachmentRecords(original));
+    } catch (error) {
+      copy.stations.forEach((station) => {
+        station.attachments = [];
+      });
+      alert(`Photos and sketches could not be copied (${error?.message || error}). The copy was created without them.`);
+    }
     state.jobs.unshift(copy);
     state.activeId = copy.id;
-    saveJobs();
+    queueSave(copy);
+    saveActiveId();
+    renderAll();
+  });
+
+  $("#deleteJobButton").addEventListener("click", () => {
+    if (state.jobs.length <= 1) return alert("Keep at least one survey job.");
+    if (!confirm("Delete this survey job from this device?")) return;
+    const deletedId = state.activeId;
+    if (activeJob().sync?.revision) saveSyncSettings({ removedIds: [...syncSettings().removedIds, deletedId] });
+    state.jobs = state.jobs.filter((job) => job.id !== deletedId);
+    state.activeId = state.jobs[0].id;
+    deleteStoredJob(deletedId);
+    saveActiveId();
+    renderAll();
+  });
+
+  $("#exportJobButton").addEventListener("click", exportActiveJob);
+  $("#downloadCsvButton").addEventListener("click", downloadCsv);
+  $("#copyReportButton").addEventListener("click", copySummary);
+  $("#refreshReportButton").addEventListener("click", () => renderReport());
+  $("#printShimScheduleButton").addEventListener("click", () => {
+    renderReview();
+    document.body.dataset.print = "shims";
+    window.print();
+  });
+  window.addEventListener("afterprint", () => {
+    delete document.body.dataset.print;
+  });
+
+  $("#printReportButton").addEventListener("click", downloadPdfReport);
+  $("#downloadPdfButton").addEventListener("click", downloadPdfReport);
+  $("#printViewButton").addEventListener("click", () => {
+    renderReport();
+    setTab("report");
+    window.print();
+  });
+
+  $("#importJobInput").addEventListener("change", async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      const { attachments = [], sync, ...imported } = JSON.parse(await file.text());
+      const existing = state.jobs.find((job) => job.id === imported.id);
+      if (imported.partial && Array.isArray(imported.stations)) {
+        const crewName = imported.partial.crewName || "Crew";
+        if (!existing) {
+          alert(`This file holds only the stations captured by ${crewName}. Open or import the full job on this device first, then import the crew file to merge it.`);
+          return;
+        }
+        const skippedCrew = await mergeImportedJob(existing, alignPartialJob(existing, imported), Array.isArray(attachments) ? attachments : [], `Merged stations captured by ${crewName}`);
+        if (skippedCrew) alert(`${skippedCrew} photo(s) or sketch(es) could not be restored on this device.`);
+        return;
+      }
+      if (existing && Array.isArray(imported.stations) && confirm(`"${jobTitle(existing)}" is already on this device. Merge the imported changes into it?\n\nChoose Cancel to import the file as a separate copy instead.`)) {
+        const skippedMerge = await mergeImportedJob(existing, imported, Array.isArray(attachments) ? attachments : []);
+        if (skippedMerge) alert(`${skippedMerge} photo(s) or sketch(es) could not be restored on this device.`);
+        return;
+      }
+      const job = createJob({ ...imported, createdAt: new Date().toISOString() });
+      if (imported.id && !existing) job.id = imported.id;
+      const skipped = await copyAttachments(job, Array.isArray(attachments) ? attachments : []);
+      if (skipped) alert(`${skipped} photo(s) or sketch(es) could not be restored on this device.`);
+      state.jobs.unshift(job);
+      state.activeId = job.id;
+      queueSave(job);
+      saveActiveId();
+      renderAll();
+    } catch {
+      alert("That file could not be imported. Use a JSON export from this app.");
+    } finally {
+      event.target.value = "";
+    }
+  });
+
+  $("#tolerancePresetSelect").addEventListener("change", renderPresetLibrary);
+
+  $("#unitSystemSelect").addEventListener("change", (event) => {
+    const job = activeJob();
+    const units = unitSystems[event.target.value];
+    if (!confirm(`Convert this job to ${units.label}? Every measurement, tolerance, and station position is converted, and the undo history is cleared.`)) {
+      event.target.value = job.units || "imperial";
+      return;
+    }
+    const from = jobUnits(job).label;
+    convertJobUnits(job, event.target.value);
+    logHistory(job, { action: "units", summary: `Converted job from ${from} to ${units.label}` });
+    state.undoStacks[job.id] = { undo: [], redo: [] };
+    touchJob(job);
+    renderAll();
+  });
+
+  $("#applyPresetButton").addEventListener("click", () => {
+    const job = activeJob();
+    const preset = findPreset($("#tolerancePresetSelect").value);
+    if (!preset) return;
+    applyPreset(job, preset);
+    touchJob(job);
+    renderAll();
+  });
+
+  $("#savePresetButton").addEventListener("click", async () => {
+    const job = activeJob();
+    const name = prompt("Name for this company tolerance preset", job.customer ? `${job.customer} tolerances` : "Company tolerances")?.trim();
+    if (!name) return;
+    const preset = presetFromJob(job, { name, standard: "Company standard" });
+    state.presets.push(preset);
+    state.presets.sort((a, b) => a.name.localeCompare(b.name));
+    await savePresets();
+    applyPreset(job, preset);
+    touchJob(job);
+    $("#tolerancePresetSelect").value = preset.id;
+    renderAll();
+  });
+
+  $("#updatePresetButton").addEventListener("click", async () => {
+    const job = activeJob();
+    const index = state.presets.findIndex((preset) => preset.id === $("#tolerancePresetSelect").value);
+    if (index < 0) return;
+    if (!confirm(`Replace the limits in "${state.presets[index].name}" with this job's tolerance fields? Its version number will increase.`)) return;
+    state.presets[index] = presetFromJob(job, state.presets[index]);
+    await savePresets();
+    applyPreset(job, state.presets[index]);
+    touchJob(job);
+    renderAll();
+  });
+
+  $("#deletePresetButton").addEventListener("click", async () => {
+    const id = $("#tolerancePresetSelect").value;
+    const preset = state.presets.find((item) => item.id === id);
+    if (!preset || !confirm(`Delete the company preset "${preset.name}" from this device? Jobs keep their recorded citation.`)) return;
+    state.presets = state.presets.filter((item) => item.id !== id);
+    await savePresets(id);
+    $("#tolerancePresetSelect").value = "";
+    renderPresetLibrary();
+  });
+
+  $("#exportPresetsButton").addEventListener("click", exportPresets);
+
+  $("#importPresetsInput").addEventListener("change", async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      const count = await importPresets(file);
+      renderPresetLibrary();
+      alert(`Imported ${count} tolerance preset(s).`);
+    } catch {
+      alert("That file could not be imported. Use a preset export from this app.");
+    } finally {
+      event.target.value = "";
+    }
+  });
+
+  $("#buildStationsButton").addEventListener("click", () => {
+    const job = activeJob();
+    const source = parseColumnLines(job.columnLinesText).length ? "column lines" : "runway length and spacing";
+    const plan = rebuildStations(job);
+    const notes = [
+      plan.matched ? `${plan.matched} station(s) at unchanged positions keep their readings.` : "",
+      plan.kept ? `${plan.kept} station(s) with readings that are not on the new layout are kept.` : "",
+      plan.dropped ? `${plan.dropped} empty station(s) not on the new layout are removed.` : ""
+    ].filter(Boolean).join(" ");
+    if (!confirm(`Rebuild stations from ${source}? ${notes} You can undo this.`)) return;
+    changeStations(job, "rebuild stations", `Rebuilt ${plan.stations.length} station(s) from ${source}`, () => {
+      job.stations = plan.stations;
+    });
+    state.currentStationIndex = 0;
+    renderAll();
+  });
+
+  $("#importColumnLinesInput").addEventListener("change", async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      const job = activeJob();
+      job.columnLinesText = await importColumnLines(file);
+      touchJob(job);
+      renderAll();
+    } catch {
+      alert("That file could not be read. Use a CSV or text file with one column line per row: station, label.");
+    } finally {
+      event.target.value = "";
+    }
+  });
+
+  $("#addStationButton").addEventListener("click", () => {
+    const job = activeJob();
+    const last = job.stations[job.stations.length - 1];
+    const nextFt = toNum(last?.stationFt, 0) + toNum(job.stationSpacingFt, 25);
+    changeStations(job, "add station", `Added station ${lengthText(job, nextFt)}`, () => {
+      job.stations.push(blankStation(nextFt, job.stations.length));
+    });
+    renderAll();
+  });
+
+  $("#addCrewButton").addEventListener("click", () => {
+    const job = activeJob();
+    const crew = { id: `crew-${Date.now()}-${Math.random().toString(16).slice(2, 6)}`, name: `Crew ${job.crews.length + 1}`, fromFt: "", toFt: "", side: "both" };
+    job.crews.push(crew);
+    logHistory(job, { action: "crew", summary: `Added ${crew.name}` });
+    touchJob(job);
+    renderAll();
+  });
+
+  $("#crewTable").addEventListener("input", (event) => {
+    const job = activeJob();
+    const crew = job.crews[Number(event.target.dataset.crewIndex)];
+    const field = event.target.dataset.crewField;
+    if (!crew || !field) return;
+    crew[field] = event.target.value;
+    touchJob(job);
+    renderCrewFilter();
+    renderStationCards();
+    renderCompletion();
+  });
+
+  $("#crewTable").addEventListener("click", (event) => {
+    const index = event.target.dataset.deleteCrew;
+    if (index === undefined) return;
+    const job = activeJob();
+    const [crew] = job.crews.splice(Number(index), 1);
+    logHistory(job, { action: "crew", summary: `Removed ${describeCrew(job, crew)}` });
+    touchJob(job);
     renderAll();
   });
 
-  $("#deleteJobButton").addEventListener("click", () => {
-    if (state.jobs.length <= 1) return alert("Keep at least one survey job.");
-    if (!confirm("Delete this survey job from this device?")) return;
-    state.jobs = state.jobs.filter((job) => job.id !== state.activeId);
-    state.activeId = state.jobs[0].id;
-    saveJobs();
+  $("#addCustomFieldButton").addEventListener("click", () => {
+    const job = activeJob();
+    const custom = { id: `custom-${Date.now()}-${Math.random().toString(16).slice(2, 6)}`, name: `Field ${job.customFields.length + 1}`, type: "number", unit: jobUnits(job).offset, options: "", nominal: "", tolerance: "" };
+    job.customFields.push(custom);
+    logHistory(job, { action: "custom field", summary: `Added custom field ${custom.name}` });
+    touchJob(job);
     renderAll();
   });
 
-  $("#exportJobButton").addEventListener("click", exportActiveJob);
-  $("#downloadCsvButton").addEventListener("click", downloadCsv);
-  $("#copyReportButton").addEventListener("click", copySummary);
-  $("#refreshReportButton").addEventListener("click", renderReport);
-  $("#printReportButton").addEventListener("click", () => {
-    renderReport();
-    setTab("report");
-    window.print();
-  });
-
-  $("#importJobInput").addEventListener("change", async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
-    try {
-      const imported = JSON.parse(await file.text());
-      const job = createJob({ ...imported, id: uid(), createdAt: new Date().toISOString() });
-      state.jobs.unshift(job);
-      state.activeId = job.id;
-      saveJobs();
-      renderAll();
-    } catch {
-      alert("That file could not be imported. Use a JSON export from this app.");
-    } finally {
-      event.target.value = "";
-    }
+  $("#customFieldTable").addEventListener("input", (event) => {
+    const job = activeJob();
+    const custom = job.customFields[Number(event.target.dataset.customIndex)];
+    const field = event.target.dataset.customField;
+    if (!custom || !field) return;
+    custom[field] = event.target.value;
+    if (field === "type") custom.unit = custom.type === "number" ? jobUnits(job).offset : "";
+    touchJob(job);
+    if (field === "type") renderCustomFieldTable();
+    renderStationCards();
+    renderCompletion();
+    scheduleReviewRefresh();
   });
 
-  $("#buildStationsButton").addEventListener("click", () => {
+  $("#customFieldTable").addEventListener("click", (event) => {
+    const index = event.target.dataset.deleteCustomField;
+    if (index === undefined) return;
     const job = activeJob();
-    if (!confirm("Rebuild stations from runway length and spacing? Existing station measurements will be replaced.")) return;
-    job.stations = buildStationList(job);
-    state.currentStationIndex = 0;
+    const custom = job.customFields[Number(index)];
+    const recorded = job.stations.some((station) => Object.values(station.sets || {}).some((values) => (values[custom.id] ?? "") !== ""));
+    if (recorded && !confirm(`Delete ${custom.name || "this custom field"} and the readings recorded for it at every station?`)) return;
+    job.customFields.splice(Number(index), 1);
+    job.stations.forEach((station) => Object.values(station.sets || {}).forEach((values) => {
+      if (custom.id in values) {
+        delete values[custom.id];
+        touchStation(station);
+      }
+    }));
+    logHistory(job, { action: "custom field", summary: `Removed custom field ${custom.name}` });
     touchJob(job);
     renderAll();
   });
 
-  $("#addStationButton").addEventListener("click", () => {
+  $("#crewFilter").addEventListener("change", (event) => {
     const job = activeJob();
-    const last = job.stations[job.stations.length - 1];
-    const nextFt = toNum(last?.stationFt, 0) + toNum(job.stationSpacingFt, 25);
-    job.stations.push(blankStation(nextFt, job.stations.length));
-    touchJob(job);
-    renderAll();
+    saveCrewFilter(job, event.target.value);
+    const indexes = visibleStationIndexes(job);
+    if (!indexes.includes(state.currentStationIndex)) state.currentStationIndex = indexes[0] ?? 0;
+    state.captureField = null;
+    renderCrewFilter();
+    renderStationCards();
+    renderCompletion();
   });
 
+  $("#exportCrewButton").addEventListener("click", exportCrewStations);
+
   $("#layoutTable").addEventListener("input", (event) => {
     const index = Number(event.target.dataset.stationIndex);
     const field = event.target.dataset.stationField;
@@ -793,8 +5363,17 @@ function attachEvents() {
     const index = event.target.dataset.deleteStation;
     if (index === undefined) return;
     const job = activeJob();
-    job.stations.splice(Number(index), 1);
-    touchJob(job);
+    const station = job.stations[Number(index)];
+    const attached = station.attachments || [];
+    if (attached.length && !confirm(`Delete station ${stationLabel(station, job)} and its ${attached.length} photo(s) or sketch(es)? Undo restores the station but not its photos or sketches.`)) return;
+    if (attached.length) {
+      attached.forEach((meta) => state.attachments.delete(meta.id));
+      deleteAttachmentRecords(attached.map((meta) => meta.id));
+      station.attachments = [];
+    }
+    changeStations(job, `delete station ${lengthText(job, station.stationFt)}`, `Deleted station ${lengthText(job, station.stationFt)}${station.columnLabel ? ` (${station.columnLabel})` : ""}${attached.length ? ` and ${attached.length} photo(s) or sketch(es)` : ""}`, () => {
+      job.stations.splice(Number(index), 1);
+    });
     renderAll();
   });
 
@@ -810,24 +5389,294 @@ function attachEvents() {
     if (field) {
       updateStation(index, field, event.target.value, { render: "quiet" });
       updateVisibleCardResults(card, index);
+      renderCaptureTags(card, activeJob(), activeJob().stations[index]);
+      renderShotSummaries(card, activeJob(), activeJob().stations[index]);
       renderCompletion();
       scheduleReviewRefresh();
     }
   });
 
+  $("#stationCards").addEventListener("change", async (event) => {
+    const card = event.target.closest(".station-card");
+    const field = event.target.dataset.field;
+    if (card && MEASUREMENT_FIELDS.includes(field)) {
+      const job = activeJob();
+      const station = job.stations[Number(card.dataset.stationIndex)];
+      validateReading(job, station, field);
+      renderReadingFlags(card, job, station);
+      renderCompletion();
+      return;
+    }
+    if (!event.target.classList.contains("photo-input")) return;
+    const file = event.target.files?.[0];
+    if (!file || !card) return;
+    try {
+      await addPhotoFile(Number(card.dataset.stationIndex), file);
+    } catch (error) {
+      alert(`That photo could not be attached (${error?.message || error}).`);
+    } finally {
+      event.target.value = "";
+    }
+  });
+
+  $("#stationCards").addEventListener("focusin", (event) => {
+    const card = event.target.closest(".station-card");
+    const field = event.target.dataset.field;
+    if (!card || !MEASUREMENT_FIELDS.includes(field)) return;
+    const index = Number(card.dataset.stationIndex);
+    state.currentStationIndex = index;
+    state.captureField = { stationId: activeJob().stations[index].id, field };
+    state.captureShots = null;
+    $$(".station-card.focused").forEach((item) => item.classList.toggle("focused", item === card));
+    card.classList.add("focused");
+    $$(".capture-target").forEach((item) => item.classList.remove("capture-target"));
+    if (state.instrument) event.target.closest(".field").classList.add("capture-target");
+  });
+
+  $("#instrumentBar").addEventListener("change", (event) => {
+    const setting = event.target.dataset.instrumentSetting;
+    if (!setting) return;
+    saveInstrumentSettings({ [setting]: event.target.value.trim() });
+    renderInstrument();
+  });
+
+  $("#connectInstrumentButton").addEventListener("click", () => (state.instrument ? disconnectInstrument() : connectInstrument()));
+  $("#readInstrumentButton").addEventListener("click", triggerInstrument);
+
+  $("#stationCards").addEventListener("click", (event) => {
+    const card = event.target.closest(".station-card");
+    if (!card) return;
+    const index = Number(card.dataset.stationIndex);
+    if (event.target.closest(".sketch-button")) openSketch(index);
+    const confirmField = event.target.closest("[data-confirm-reading]")?.dataset.confirmReading;
+    if (confirmField) resolveReadingFlag(index, confirmField, "confirmed");
+    const reshootField = event.target.closest("[data-reshoot-reading]")?.dataset.reshootReading;
+    if (reshootField) resolveReadingFlag(index, reshootField, "reshoot");
+    const attachmentId = event.target.closest("[data-attachment-id]")?.dataset.attachmentId;
+    if (attachmentId) openAttachment(index, attachmentId);
+    const shotField = event.target.closest("[data-add-shot]")?.dataset.addShot;
+    if (shotField) startNextShot($(`.${shotField}`, card));
+  });
+
+  $("#sketchCanvas").addEventListener("pointerdown", (event) => {
+    if (!state.sketch) return;
+    const context = event.currentTarget.getContext("2d");
+    const point = sketchPoint(event);
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    context.strokeStyle = $("#sketchColor").value;
+    context.lineWidth = 4;
+    context.lineCap = "round";
+    context.lineJoin = "round";
+    context.beginPath();
+    context.moveTo(point.x, point.y);
+    context.lineTo(point.x, point.y);
+    context.stroke();
+    state.sketch.drawing = true;
+    state.sketch.strokes += 1;
+  });
+
+  $("#sketchCanvas").addEventListener("pointermove", (event) => {
+    if (!state.sketch?.drawing) return;
+    const context = event.currentTarget.getContext("2d");
+    const point = sketchPoint(event);
+    context.lineTo(point.x, point.y);
+    context.stroke();
+  });
+
+  ["pointerup", "pointercancel", "pointerleave"].forEach((type) => $("#sketchCanvas").addEventListener(type, () => {
+    if (state.sketch) state.sketch.drawing = false;
+  }));
+
+  $("#clearSketchButton").addEventListener("click", () => {
+    const canvas = $("#sketchCanvas");
+    const context = canvas.getContext("2d");
+    context.fillStyle = "#fff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    if (state.sketch) state.sketch.strokes = 0;
+  });
+
+  $("#cancelSketchButton").addEventListener("click", () => closeDialog($("#sketchDialog")));
+
+  $("#saveSketchButton").addEventListener("click", async () => {
+    const sketch = state.sketch;
+    closeDialog($("#sketchDialog"));
+    if (!sketch?.strokes) return;
+    await addAttachment(sketch.index, "sketch", imageAttachment($("#sketchCanvas")));
+  });
+
+  $("#sketchDialog").addEventListener("close", () => {
+    state.sketch = null;
+  });
+
+  $("#attachmentCaption").addEventListener("input", (event) => {
+    const { meta } = viewedAttachment();
+    if (!meta) return;
+    meta.caption = event.target.value;
+    touchJob();
+  });
+
+  $("#deleteAttachmentButton").addEventListener("click", () => {
+    const { station, meta } = viewedAttachment();
+    if (!meta || !confirm(`Delete this ${meta.kind} from station ${stationLabel(station)}?`)) return;
+    closeDialog($("#attachmentDialog"));
+    removeAttachment(station.id, meta.id);
+  });
+
+  $("#closeAttachmentButton").addEventListener("click", () => closeDialog($("#attachmentDialog")));
+
+  $("#syncButton").addEventListener("click", () => {
+    if (state.syncConflict) {
+      showSyncConflicts(state.syncConflict);
+      return;
+    }
+    const settings = syncSettings();
+    $("#syncEndpoint").value = settings.endpoint;
+    $("#syncToken").value = settings.token;
+    $("#syncEnabled").checked = settings.enabled;
+    renderSyncState();
+    showDialog($("#syncDialog"));
+  });
+
+  ["#syncEndpoint", "#syncToken"].forEach((selector) => {
+    $(selector).addEventListener("change", () => {
+      saveSyncSettings({ endpoint: $("#syncEndpoint").value.trim(), token: $("#syncToken").value });
+    });
+  });
+
+  $("#syncEnabled").addEventListener("change", (event) => {
+    if (event.target.checked && !/^https?:\/\//i.test($("#syncEndpoint").value.trim())) {
+      event.target.checked = false;
+      alert("Enter the sync server address (starting with http:// or https://) first.");
+      return;
+    }
+    saveSyncSettings({ endpoint: $("#syncEndpoint").value.trim(), token: $("#syncToken").value, enabled: event.target.checked });
+    state.syncStatus = "";
+    renderSyncState();
+    syncAll();
+  });
+
+  $("#syncNowButton").addEventListener("click", syncAll);
+  $("#closeSyncButton").addEventListener("click", () => closeDialog($("#syncDialog")));
+
+  $("#conflictTable").addEventListener("change", (event) => {
+    const conflict = state.syncConflict?.conflicts[Number(event.target.dataset.conflict)];
+    if (conflict) conflict.choice = event.target.value;
+  });
+
+  [["#keepMineButton", "local"], ["#takeTheirsButton", "remote"]].forEach(([selector, choice]) => {
+    $(selector).addEventListener("click", () => {
+      state.syncConflict?.conflicts.forEach((conflict) => {
+        conflict.choice = choice;
+      });
+      $$(`#conflictTable input[value="${choice}"]`).forEach((input) => {
+        input.checked = true;
+      });
+    });
+  });
+
+  $("#resolveConflictsButton").addEventListener("click", resolveSyncConflicts);
+  $("#cancelConflictButton").addEventListener("click", () => {
+    closeDialog($("#conflictDialog"));
+    renderSyncState();
+  });
+
+  $("#attachmentDialog").addEventListener("close", () => {
+    state.viewingAttachment = null;
+    renderStationCards();
+    renderReport();
+  });
+
   $("#stationSearch").addEventListener("input", renderStationCards);
 
-  $("#previousStationButton").addEventListener("click", () => focusStation(state.currentStationIndex - 1));
-  $("#nextStationButton").addEventListener("click", () => focusStation(state.currentStationIndex + 1));
+  $("#importCsvInput").addEventListener("change", async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      await startCsvImport(file);
+    } catch {
+      alert("That CSV could not be read.");
+    } finally {
+      event.target.value = "";
+    }
+  });
+
+  $("#csvImportMode").addEventListener("change", (event) => {
+    if (!state.csvImport) return;
+    state.csvImport.mode = event.target.value;
+    renderCsvImport();
+  });
+
+  $("#csvMapping").addEventListener("change", (event) => {
+    const column = event.target.dataset.csvColumn;
+    if (column === undefined || !state.csvImport) return;
+    state.csvImport.mapping[Number(column)] = event.target.value;
+    renderCsvImport();
+  });
+
+  $("#applyCsvImportButton").addEventListener("click", applyCsvImport);
+  $("#cancelCsvImportButton").addEventListener("click", () => {
+    state.csvImport = null;
+    renderCsvImport();
+  });
+
+  $("#importSurveyInput").addEventListener("change", async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      await startSurveyImport(file);
+    } catch {
+      alert("That survey file could not be read.");
+    } finally {
+      event.target.value = "";
+    }
+  });
+
+  $("#surveyFormat").addEventListener("change", (event) => {
+    if (!state.surveyImport) return;
+    setSurveyFormat(event.target.value);
+    renderSurveyImport(true);
+  });
+
+  $("#surveyImportPanel").addEventListener("input", (event) => {
+    const option = event.target.dataset.surveyOption;
+    if (!option || !state.surveyImport) return;
+    state.surveyImport[option] = event.target.value;
+    renderSurveyImport();
+  });
+
+  $("#applySurveyImportButton").addEventListener("click", applySurveyImport);
+  $("#cancelSurveyImportButton").addEventListener("click", () => {
+    state.surveyImport = null;
+    renderSurveyImport();
+  });
+
+  $("#previousStationButton").addEventListener("click", () => stepStation(-1));
+  $("#nextStationButton").addEventListener("click", () => stepStation(1));
   $("#markReviewedButton").addEventListener("click", () => {
     const job = activeJob();
     if (!job.stations[state.currentStationIndex]) return;
-    job.stations[state.currentStationIndex].reviewed = true;
-    touchJob(job);
-    renderAll();
-    focusStation(Math.min(state.currentStationIndex + 1, job.stations.length - 1));
+    updateStation(state.currentStationIndex, "reviewed", true);
+    stepStation(1);
+  });
+
+  $("#undoButton").addEventListener("click", () => stepUndo("undo"));
+  $("#redoButton").addEventListener("click", () => stepUndo("redo"));
+  document.addEventListener("keydown", (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== "z") return;
+    if (event.target.closest("input, textarea, select, dialog")) return;
+    event.preventDefault();
+    stepUndo(event.shiftKey ? "redo" : "undo");
   });
 
+  $("#historySearch").addEventListener("input", renderHistory);
+  $("#historyTable").addEventListener("click", (event) => {
+    const changeId = event.target.closest("[data-restore-change]")?.dataset.restoreChange;
+    if (changeId) restoreHistoryValue(changeId);
+  });
+
+  $("#deviceUserInput").value = localStorage.getItem(USER_KEY) || "";
+  $("#deviceUserInput").addEventListener("input", (event) => localStorage.setItem(USER_KEY, event.target.value.trim()));
+
   $("#continueToLayoutButton").addEventListener("click", continueFromSetup);
   $("#continueToStationsButton").addEventListener("click", () => setTab("stations"));
   $("#continueToReviewButton").addEventListener("click", () => setTab("review"));
@@ -835,6 +5684,11 @@ function attachEvents() {
 
   $$(".tab").forEach((tab) => tab.addEventListener("click", () => setTab(tab.dataset.tab)));
 
+  window.addEventListener("online", renderNetworkState);
+  window.addEventListener("online", syncAll);
+  window.addEventListener("offline", renderNetworkState);
+  $("#reloadUpdateButton").addEventListener("click", applyUpdate);
+
   window.addEventListener("beforeinstallprompt", (event) => {
     event.preventDefault();
     state.deferredInstallPrompt = event;
@@ -848,27 +5702,515 @@ function attachEvents() {
     state.deferredInstallPrompt = null;
     $("#installButton").hidden = true;
   });
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flushSaves();
+  });
+  window.addEventListener("pagehide", flushSaves);
 }
 
 function focusStation(index) {
   const job = activeJob();
   state.currentStationIndex = Math.max(0, Math.min(index, job.stations.length - 1));
+  if (!visibleStationIndexes(job).includes(state.currentStationIndex)) {
+    saveCrewFilter(job, "");
+    renderCrewFilter();
+    renderCompletion();
+  }
   renderStationCards();
   const card = $(`.station-card[data-station-index="${state.currentStationIndex}"]`);
   card?.scrollIntoView({ behavior: "smooth", block: "center" });
 }
 
 async function init() {
-  loadJobs();
+  await loadJobs();
+  await loadPresets();
+  await loadTemplates();
   attachEvents();
   renderAll();
-  if ("serviceWorker" in navigator) {
-    try {
-      await navigator.serviceWorker.register("./service-worker.js");
-    } catch {
-      console.warn("Service worker registration failed.");
+  renderInstrument();
+  renderSaveState("saved");
+  checkStorageQuota();
+  navigator.storage?.persist?.().catch(() => {});
+  renderNetworkState();
+  renderSyncState();
+  setInterval(syncAll, SYNC_INTERVAL_MS);
+  syncAll();
+  await registerServiceWorker();
+}
+
+async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data?.type !== "VERSION") return;
+    state.appVersion = event.data.version;
+    renderNetworkState();
+  });
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (state.reloadingForUpdate) window.location.reload();
+  });
+  try {
+    const registration = await navigator.serviceWorker.register("./sw.js");
+    const watchInstall = (worker) => worker?.addEventListener("statechange", () => {
+      if (worker.state === "installed" && navigator.serviceWorker.controller) showUpdateAvailable(worker);
+    });
+    if (registration.waiting && navigator.serviceWorker.controller) showUpdateAvailable(registration.waiting);
+    watchInstall(registration.installing);
+    registration.addEventListener("updatefound", () => watchInstall(registration.installing));
+    window.addEventListener("online", () => registration.update().catch(() => {}));
+    (await navigator.serviceWorker.ready).active?.postMessage({ type: "GET_VERSION" });
+  } catch {
+    console.warn("Service worker registration failed.");
+  }
+}
+
+function showUpdateAvailable(worker) {
+  state.waitingWorker = worker;
+  $("#updateBanner").hidden = false;
+}
+
+async function applyUpdate() {
+  if (!state.waitingWorker) return;
+  $("#reloadUpdateButton").disabled = true;
+  $("#updateBannerLabel").textContent = "Saving your work and updating...";
+  await flushSaves();
+  state.reloadingForUpdate = true;
+  state.waitingWorker.postMessage({ type: "SKIP_WAITING" });
+}
+
+function renderNetworkState() {
+  const online = navigator.onLine !== false;
+  $("#networkState").dataset.state = online ? "online" : "offline";
+  $("#networkStateLabel").textContent = `${online ? "Online" : "Offline"}${state.appVersion ? ` - v${state.appVersion}` : ""}`;
+  $("#networkState").title = online ? "Connected. The app updates in the background." : "No connection. The app and your jobs keep working from this device.";
+}
+
+function syncSettings() {
+  try {
+    return { endpoint: "", token: "", enabled: false, removedIds: [], ...JSON.parse(localStorage.getItem(SYNC_KEY) || "{}") };
+  } catch {
+    return { endpoint: "", token: "", enabled: false, removedIds: [] };
+  }
+}
+
+function saveSyncSettings(changes) {
+  localStorage.setItem(SYNC_KEY, JSON.stringify({ ...syncSettings(), ...changes }));
+}
+
+function syncSnapshot(job) {
+  const { sync, history, ...snapshot } = job;
+  return structuredClone(snapshot);
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).filter((key) => value[key] !== undefined).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? "");
+}
+
+function sameValue(a, b) {
+  return canonicalJson(a) === canonicalJson(b);
+}
+
+function stationSyncFields(station) {
+  const fields = {};
+  Object.entries(station || {}).forEach(([key, value]) => {
+    if (SYNC_STATION_SKIP.includes(key)) return;
+    if (SYNC_NESTED_FIELDS.includes(key)) {
+      Object.entries(value || {}).forEach(([setId, values]) => Object.entries(values || {}).forEach(([field, item]) => {
+        fields[`${key}.${setId}.${field}`] = item;
+      }));
+    } else {
+      fields[key] = value;
+    }
+  });
+  return fields;
+}
+
+function setStationSyncField(station, key, value) {
+  const [group, setId, field] = key.split(".");
+  if (!field) {
+    station[key] = value;
+    return;
+  }
+  station[group] = station[group] || {};
+  station[group][setId] = { ...station[group][setId], [field]: value };
+}
+
+function mergeById(base = [], local = [], remote = []) {
+  const baseIds = new Set(base.map((item) => item.id));
+  const localIds = new Set(local.map((item) => item.id));
+  const remoteIds = new Set(remote.map((item) => item.id));
+  const locals = new Map(local.map((item) => [item.id, item]));
+  return [
+    ...remote.filter((item) => localIds.has(item.id) || !baseIds.has(item.id)).map((item) => locals.get(item.id) || item),
+    ...local.filter((item) => !remoteIds.has(item.id) && !baseIds.has(item.id))
+  ];
+}
+
+function historyEdits(history = [], otherHistory = []) {
+  const seen = new Set(otherHistory.map((change) => change.id));
+  return new Set(history
+    .filter((change) => change.field && !seen.has(change.id))
+    .map((change) => `${change.stationId}|${isSetField(change.field) ? `sets.${change.setId}.${change.field}` : change.field}`));
+}
+
+function lastEditor(history = [], stationId, key) {
+  const [group, setId, field] = key.split(".");
+  return [...history].reverse().find((change) => change.stationId === stationId && (field ? change.field === field && change.setId === setId : change.field === group));
+}
+
+function mergeJobs(base, local, remote) {
+  const target = { units: base && jobUnits(local) === jobUnits(base) ? remote.units : local.units };
+  [base, local, remote] = [base && inJobUnits(target, base), inJobUnits(target, local), inJobUnits(target, remote)];
+  const merged = structuredClone(local);
+  const conflicts = [];
+  const remoteNewer = String(remote.updatedAt || "") > String(local.updatedAt || "");
+  const choose = (key, bv, lv, rv, newer) => {
+    if (sameValue(lv, rv)) return { value: lv };
+    if (base && sameValue(lv, bv)) return { value: rv };
+    if (base && sameValue(rv, bv)) return { value: lv };
+    return { conflict: true, value: newer ? rv : lv };
+  };
+
+  Object.keys({ ...local, ...remote }).filter((key) => !SYNC_JOB_SKIP.includes(key)).forEach((key) => {
+    const result = choose(key, base?.[key], local[key], remote[key], remoteNewer);
+    if (result.conflict && base) {
+      conflicts.push({ scope: "job", key, label: key, base: base[key], local: local[key], remote: remote[key], choice: remoteNewer ? "remote" : "local" });
+    }
+    merged[key] = structuredClone(result.value);
+  });
+
+  const localEdits = historyEdits(local.history, remote.history);
+  const remoteEdits = historyEdits(remote.history, local.history);
+  const baseStations = new Map((base?.stations || []).map((station) => [station.id, station]));
+  const localStations = new Map(local.stations.map((station) => [station.id, station]));
+  const remoteStations = new Map(remote.stations.map((station) => [station.id, station]));
+  const changedSince = (station, original) => !original || Object.entries({ ...stationSyncFields(station), ...stationSyncFields(original) })
+    .some(([key]) => !sameValue(stationSyncFields(station)[key], stationSyncFields(original)[key]));
+  const ids = [...new Set([...localStations.keys(), ...remoteStations.keys()])];
+  merged.stations = ids.map((id) => {
+    const original = baseStations.get(id);
+    const mine = localStations.get(id);
+    const theirs = remoteStations.get(id);
+    if (!theirs) return !original || changedSince(mine, original) ? structuredClone(mine) : null;
+    if (!mine) return original && !changedSince(theirs, original) ? null : structuredClone(theirs);
+    const station = structuredClone(mine);
+    const theirsNewer = String(theirs.updatedAt || "") > String(mine.updatedAt || "");
+    const baseFields = stationSyncFields(original);
+    const mineFields = stationSyncFields(mine);
+    const theirFields = stationSyncFields(theirs);
+    Object.keys({ ...mineFields, ...theirFields }).forEach((key) => {
+      const lv = mineFields[key];
+      const rv = theirFields[key];
+      if (sameValue(lv, rv)) return;
+      let result;
+      if (original) {
+        result = choose(key, baseFields[key], lv, rv, theirsNewer);
+      } else {
+        const editedHere = localEdits.has(`${id}|${key}`);
+        const editedThere = remoteEdits.has(`${id}|${key}`);
+        if (editedHere && editedThere) result = { conflict: true, value: theirsNewer ? rv : lv };
+        else if (editedThere || editedHere) result = { value: editedThere ? rv : lv };
+        else if (sameValue(lv, "") || sameValue(rv, "")) result = { value: sameValue(lv, "") ? rv : lv };
+        else result = { value: theirsNewer ? rv : lv };
+      }
+      if (result.conflict) {
+        conflicts.push({
+          scope: "station",
+          stationId: id,
+          stationFt: station.stationFt,
+          key,
+          label: syncFieldLabel(local, key),
+          base: baseFields[key],
+          local: lv,
+          remote: rv,
+          localBy: lastEditor(local.history, id, key),
+          remoteBy: lastEditor(remote.history, id, key),
+          choice: theirsNewer ? "remote" : "local"
+        });
+      }
+      setStationSyncField(station, key, structuredClone(result.value));
+    });
+    station.attachments = mergeById(original?.attachments, mine.attachments, theirs.attachments);
+    station.updatedAt = theirsNewer ? theirs.updatedAt : mine.updatedAt;
+    return station;
+  }).filter(Boolean).sort((a, b) => toNum(a.stationFt) - toNum(b.stationFt) || a.id.localeCompare(b.id));
+
+  merged.readingSets = mergeById(base?.readingSets, local.readingSets, remote.readingSets);
+  if (!merged.readingSets.some((set) => set.id === merged.activeSetId)) merged.activeSetId = merged.readingSets[0]?.id;
+  const history = new Map([...(local.history || []), ...(remote.history || [])].map((change) => [change.id, change]));
+  merged.history = [...history.values()].sort((a, b) => String(a.at).localeCompare(String(b.at)) || a.id.localeCompare(b.id)).slice(-HISTORY_LIMIT);
+  merged.id = local.id;
+  merged.createdAt = local.createdAt;
+  merged.updatedAt = remoteNewer ? remote.updatedAt : local.updatedAt;
+  return { job: normalizeJob(merged), conflicts };
+}
+
+function syncFieldLabel(job, key) {
+  const [group, setId, field] = key.split(".");
+  if (!field) return key;
+  const setName = job.readingSets.find((set) => set.id === setId)?.name || setId;
+  return `${field}${group === "captures" ? " capture tag" : group === "flags" ? " reading flag" : group === "shots" ? " shots" : ""} (${setName})`;
+}
+
+function applyConflictChoices(merged, conflicts) {
+  conflicts.forEach((conflict) => {
+    const value = structuredClone(conflict.choice === "remote" ? conflict.remote : conflict.local);
+    if (conflict.scope === "job") {
+      merged[conflict.key] = value;
+      return;
+    }
+    const station = merged.stations.find((item) => item.id === conflict.stationId);
+    if (station) setStationSyncField(station, conflict.key, value);
+  });
+  return merged;
+}
+
+function replaceJob(job) {
+  const index = state.jobs.findIndex((item) => item.id === job.id);
+  if (index >= 0) state.jobs[index] = job;
+  else state.jobs.push(job);
+  state.jobSummaries.delete(job.id);
+  queueSave(job);
+}
+
+function jobNeedsSync(job) {
+  return job.updatedAt !== job.sync?.syncedUpdatedAt;
+}
+
+function pendingSyncCount() {
+  return state.jobs.filter(jobNeedsSync).length;
+}
+
+async function syncRequest(path, options = {}) {
+  const { endpoint, token } = syncSettings();
+  const response = await fetch(`${endpoint.replace(/\/+$/, "")}${path}`, {
+    ...options,
+    cache: "no-store",
+    headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}), ...options.headers }
+  });
+  if (response.status === 401 || response.status === 403) throw new Error("the sync server rejected the access token");
+  return response;
+}
+
+function syncPayload(job) {
+  return { ...syncSnapshot(job), history: job.history || [] };
+}
+
+async function syncJob(job, remoteRevision) {
+  for (let attempt = 0; attempt < SYNC_RETRIES; attempt += 1) {
+    const live = state.jobs.find((item) => item.id === job.id);
+    if (!live) return "removed";
+    const startedAt = live.updatedAt;
+    let candidate = live;
+    let baseRevision = live.sync?.revision ?? null;
+    if (remoteRevision === undefined || remoteRevision !== baseRevision) {
+      const response = await syncRequest(`/jobs/${encodeURIComponent(live.id)}`);
+      if (response.ok) {
+        const remote = await response.json();
+        baseRevision = remote.revision;
+        if (remote.revision !== live.sync?.revision) {
+          const remoteJob = normalizeJob(remote.job);
+          const { job: merged, conflicts } = mergeJobs(live.sync?.base || null, live, remoteJob);
+          if (conflicts.length) {
+            showSyncConflicts({ source: "sync", jobId: live.id, merged, conflicts, base: live.sync?.base || null, remote: remoteJob, revision: remote.revision, localUpdatedAt: startedAt });
+            return "conflict";
+          }
+          merged.sync = live.sync;
+          candidate = merged;
+        }
+        if (sameValue(syncPayload(candidate), syncPayload(normalizeJob(remote.job)))) {
+          if (state.jobs.find((item) => item.id === job.id)?.updatedAt !== startedAt) continue;
+          candidate.sync = { revision: remote.revision, syncedAt: new Date().toISOString(), syncedUpdatedAt: candidate.updatedAt, base: syncSnapshot(candidate) };
+          replaceJob(candidate);
+          return candidate === live ? "current" : "pulled";
+        }
+      } else if (response.status !== 404) {
+        throw new Error(`the sync server answered ${response.status}`);
+      }
+    } else if (!jobNeedsSync(live)) {
+      return "current";
+    }
+    const sent = syncPayload(candidate);
+    const saved = await syncRequest(`/jobs/${encodeURIComponent(candidate.id)}`, {
+      method: "PUT",
+      body: JSON.stringify({ job: sent, baseRevision })
+    });
+    if (saved.status === 409) {
+      remoteRevision = undefined;
+      continue;
+    }
+    if (!saved.ok) throw new Error(`the sync server answered ${saved.status}`);
+    const { revision } = await saved.json();
+    if (candidate !== live) {
+      if (state.jobs.find((item) => item.id === job.id)?.updatedAt !== startedAt) {
+        remoteRevision = undefined;
+        continue;
+      }
+      replaceJob(candidate);
+    }
+    const { history, ...base } = sent;
+    candidate.sync = { revision, syncedAt: new Date().toISOString(), syncedUpdatedAt: base.updatedAt, base };
+    queueSave(candidate);
+    return "pushed";
+  }
+  throw new Error("the job kept changing during sync; it will be retried");
+}
+
+async function syncAll() {
+  const settings = syncSettings();
+  if (!settings.enabled || !settings.endpoint || state.syncing) return;
+  if (navigator.onLine === false) {
+    state.syncStatus = "offline";
+    renderSyncState();
+    return;
+  }
+  state.syncing = true;
+  state.syncStatus = "syncing";
+  renderSyncState();
+  const activeBefore = JSON.stringify(syncSnapshot(activeJob()));
+  try {
+    const response = await syncRequest("/jobs");
+    if (!response.ok) throw new Error(`the sync server answered ${response.status}`);
+    const remoteJobs = await response.json();
+    const revisions = new Map(remoteJobs.map((item) => [item.id, item.revision]));
+    for (const item of remoteJobs) {
+      if (state.jobs.some((job) => job.id === item.id) || settings.removedIds.includes(item.id)) continue;
+      const fetched = await syncRequest(`/jobs/${encodeURIComponent(item.id)}`);
+      if (!fetched.ok) continue;
+      const remote = await fetched.json();
+      const job = normalizeJob(remote.job);
+      job.sync = { revision: remote.revision, syncedAt: new Date().toISOString(), syncedUpdatedAt: job.updatedAt, base: syncSnapshot(job) };
+      state.jobs.push(job);
+      queueSave(job);
+    }
+    let conflicted = false;
+    for (const job of [...state.jobs]) {
+      if (state.syncConflict?.jobId === job.id) continue;
+      if (!jobNeedsSync(job) && revisions.get(job.id) === job.sync?.revision) continue;
+      if (!jobNeedsSync(job) && !revisions.has(job.id) && job.sync?.revision) continue;
+      if ((await syncJob(job, revisions.get(job.id))) === "conflict") conflicted = true;
+    }
+    state.syncStatus = conflicted ? "conflict" : "synced";
+    state.syncError = "";
+    saveSyncSettings({ lastSyncAt: new Date().toISOString() });
+  } catch (error) {
+    state.syncStatus = "error";
+    state.syncError = error?.message || String(error);
+    console.warn("Sync failed.", error);
+  } finally {
+    state.syncing = false;
+    renderSyncState();
+    if (JSON.stringify(syncSnapshot(activeJob())) !== activeBefore) renderAll();
+    else renderJobSelect();
+  }
+}
+
+function scheduleSync() {
+  if (!syncSettings().enabled) return;
+  clearTimeout(state.syncTimer);
+  state.syncTimer = setTimeout(syncAll, SYNC_DEBOUNCE_MS);
+}
+
+function renderSyncState() {
+  const settings = syncSettings();
+  const pending = pendingSyncCount();
+  const labels = {
+    syncing: "Syncing...",
+    synced: pending ? `${pending} job(s) waiting to sync` : "Synced",
+    offline: `Offline - ${pending} job(s) waiting to sync`,
+    conflict: "Sync conflict - review needed",
+    error: `Sync failed - ${pending} job(s) waiting`
+  };
+  const status = state.syncConflict ? "conflict" : state.syncStatus;
+  $("#syncButton").textContent = settings.enabled ? labels[status] || (pending ? `${pending} job(s) waiting to sync` : "Sync") : "Sync";
+  $("#syncButton").dataset.state = settings.enabled ? status || "idle" : "off";
+  $("#syncStatus").textContent = !settings.enabled
+    ? "Sync is off. Jobs stay on this device until you export them."
+    : state.syncStatus === "error"
+      ? `Last attempt failed: ${state.syncError}. Changes stay queued on this device and are sent when the server can be reached.`
+      : `${pending ? `${pending} job(s) have changes waiting to upload.` : "All jobs on this device are up to date."}${settings.lastSyncAt ? ` Last synced ${new Date(settings.lastSyncAt).toLocaleString()}.` : ""}`;
+}
+
+function showSyncConflicts(pending) {
+  state.syncConflict = pending;
+  const job = state.jobs.find((item) => item.id === pending.jobId);
+  const other = pending.source === "import" ? "Imported File" : "Other Device";
+  $("#conflictTitle").textContent = jobTitle(job || pending.merged);
+  $("#conflictSummary").textContent = `${pending.conflicts.length} field(s) were changed both on this tablet and ${pending.source === "import" ? "in the imported file" : "on another device"}. Every other change has been merged. Choose which value to keep for each field.`;
+  $("#conflictOtherHeading").textContent = other;
+  const who = (change) => (change ? `<small>${escapeHtml(change.user)}, ${escapeHtml(new Date(change.at).toLocaleString())}</small>` : "");
+  $("#conflictTable").innerHTML = pending.conflicts.map((conflict, index) => `
+    <tr>
+      <td>${conflict.scope === "job" ? "Job" : lengthText(job || pending.merged, conflict.stationFt)}</td>
+      <td>${escapeHtml(conflict.label)}</td>
+      <td>${escapeHtml(historyValue(conflict.base))}</td>
+      <td><label><input type="radio" name="conflict-${index}" value="local" data-conflict="${index}" ${conflict.choice === "local" ? "checked" : ""} /> ${escapeHtml(historyValue(conflict.local))}</label>${who(conflict.localBy)}</td>
+      <td><label><input type="radio" name="conflict-${index}" value="remote" data-conflict="${index}" ${conflict.choice === "remote" ? "checked" : ""} /> ${escapeHtml(historyValue(conflict.remote))}</label>${who(conflict.remoteBy)}</td>
+    </tr>`).join("");
+  showDialog($("#conflictDialog"));
+}
+
+function resolveSyncConflicts() {
+  const pending = state.syncConflict;
+  if (!pending) return;
+  const job = state.jobs.find((item) => item.id === pending.jobId);
+  let { merged, conflicts } = pending;
+  if (job && job.updatedAt !== pending.localUpdatedAt) {
+    const fresh = mergeJobs(pending.base, job, pending.remote);
+    merged = fresh.job;
+    conflicts = fresh.conflicts.map((conflict) => ({
+      ...conflict,
+      choice: pending.conflicts.find((item) => item.stationId === conflict.stationId && item.key === conflict.key)?.choice || conflict.choice
+    }));
+  }
+  const resolved = applyConflictChoices(merged, conflicts);
+  const resolvedCount = conflicts.length;
+  logHistory(resolved, { action: "merge", summary: `Resolved ${resolvedCount} conflict(s) merging ${pending.source === "import" ? "an imported file" : "changes from another device"}` });
+  resolved.updatedAt = new Date().toISOString();
+  if (pending.source === "sync") {
+    resolved.sync = { ...job?.sync, revision: pending.revision, base: syncSnapshot(pending.remote) };
+  } else {
+    resolved.sync = job?.sync;
+  }
+  state.syncConflict = null;
+  closeDialog($("#conflictDialog"));
+  replaceJob(resolved);
+  state.syncStatus = "";
+  renderAll();
+  scheduleSync();
+}
+
+async function mergeImportedJob(existing, imported, attachments, summary = "Merged an imported job file") {
+  const remote = normalizeJob(imported);
+  const { job: merged, conflicts } = mergeJobs(null, existing, remote);
+  merged.sync = existing.sync;
+  let skipped = 0;
+  if (attachments.length) {
+    const stored = new Set((await jobAttachmentRecords(existing)).map((record) => record.id));
+    const records = attachments
+      .filter((record) => record?.id && !stored.has(record.id) && String(record.dataUrl || "").startsWith("data:image/jpeg"))
+      .map((record) => ({ ...record, jobId: existing.id, thumbUrl: record.thumbUrl || record.dataUrl }));
+    if (records.length && state.db) {
+      await putAttachmentRecords(records);
+      if (state.attachmentJobId === existing.id) records.forEach((record) => state.attachments.set(record.id, record));
     }
+    skipped = attachments.filter((record) => !stored.has(record?.id)).length - (state.db ? records.length : 0);
   }
+  state.activeId = existing.id;
+  saveActiveId();
+  if (conflicts.length) {
+    showSyncConflicts({ source: "import", jobId: existing.id, merged, conflicts, base: null, remote, localUpdatedAt: existing.updatedAt });
+    return skipped;
+  }
+  logHistory(merged, { action: "merge", summary });
+  merged.updatedAt = new Date().toISOString();
+  replaceJob(merged);
+  renderAll();
+  return skipped;
 }
 
 init();
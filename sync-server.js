@@ -0,0 +1,122 @@
+const http = require("http");
+const fs = require("fs/promises");
+const path = require("path");
+
+const PORT = Number(process.env.PORT || 8787);
+const DATA_DIR = path.resolve(process.env.SYNC_DATA_DIR || path.join(__dirname, "sync-data"));
+const TOKEN = process.env.SYNC_TOKEN || "";
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+
+const jobs = new Map();
+const writes = new Map();
+
+function jobFile(id) {
+  return path.join(DATA_DIR, `${encodeURIComponent(id)}.json`);
+}
+
+async function loadJobs() {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  for (const name of await fs.readdir(DATA_DIR)) {
+    if (!name.endsWith(".json")) continue;
+    try {
+      const record = JSON.parse(await fs.readFile(path.join(DATA_DIR, name), "utf8"));
+      if (record?.job?.id) jobs.set(record.job.id, record);
+    } catch (error) {
+      console.warn(`Skipping unreadable job file ${name}: ${error.message}`);
+    }
+  }
+}
+
+function queueWrite(id, task) {
+  const write = (writes.get(id) || Promise.resolve())
+    .catch(() => {})
+    .then(task);
+  writes.set(id, write);
+  return write;
+}
+
+async function storeJob(record) {
+  const file = jobFile(record.job.id);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(record));
+  await fs.rename(`${file}.tmp`, file);
+  jobs.set(record.job.id, record);
+}
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Cache-Control": "no-store",
+    "Content-Type": "application/json"
+  });
+  response.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Job is too large."), { status: 413 }));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch {
+        reject(Object.assign(new Error("Body is not valid JSON."), { status: 400 }));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+async function handle(request, response) {
+  if (request.method === "OPTIONS") return send(response, 204);
+  if (TOKEN && request.headers.authorization !== `Bearer ${TOKEN}`) return send(response, 401, { error: "Missing or wrong access token." });
+  const url = new URL(request.url, "http://localhost");
+  let parts;
+  try {
+    parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return send(response, 400, { error: "Malformed job path." });
+  }
+  if (parts[0] !== "jobs" || parts.length > 2) return send(response, 404, { error: "Not found." });
+
+  if (parts.length === 1) {
+    if (request.method !== "GET") return send(response, 405, { error: "Method not allowed." });
+    return send(response, 200, [...jobs.values()].map(({ job, revision }) => ({ id: job.id, revision, updatedAt: job.updatedAt })));
+  }
+
+  const id = parts[1];
+  if (request.method === "GET") {
+    const existing = jobs.get(id);
+    return existing ? send(response, 200, { job: existing.job, revision: existing.revision }) : send(response, 404, { error: "No such job." });
+  }
+  if (request.method !== "PUT") return send(response, 405, { error: "Method not allowed." });
+  const { job, baseRevision = null } = await readBody(request);
+  if (!job || job.id !== id || !Array.isArray(job.stations)) return send(response, 400, { error: "Body must be { job, baseRevision } for this job id." });
+  return queueWrite(id, async () => {
+    const existing = jobs.get(id);
+    if (existing && existing.revision !== baseRevision) return send(response, 409, { job: existing.job, revision: existing.revision });
+    const revision = (existing?.revision || 0) + 1;
+    await storeJob({ job, revision, savedAt: new Date().toISOString() });
+    return send(response, 200, { revision });
+  });
+}
+
+loadJobs().then(() => {
+  http.createServer((request, response) => {
+    handle(request, response).catch((error) => {
+      if (!response.headersSent) send(response, error.status || 500, { error: error.message });
+    });
+  }).listen(PORT, () => {
+    console.log(`TR-13 sync server on port ${PORT}, storing ${jobs.size} job(s) in ${DATA_DIR}${TOKEN ? " (token required)" : ""}`);
+  });
+});